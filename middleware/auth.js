@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isAccessTokenRevoked } = require('../utils/tokens');
 
 const auth = async (req, res, next) => {
     try {
@@ -24,8 +25,16 @@ const auth = async (req, res, next) => {
             });
         }
 
-        // Add user to request object
+        // Check revocation list and "log out all devices"
+        if (await isAccessTokenRevoked(decoded, user)) {
+            return res.status(401).json({ 
+                error: 'Token has been revoked.' 
+            });
+        }
+
+        // Add user and token payload to request object
         req.user = user;
+        req.tokenPayload = decoded;
         next();
         
     } catch (error) {
@@ -55,8 +64,9 @@ const optionalAuth = async (req, res, next) => {
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             const user = await User.findById(decoded.userId).select('-password');
-            if (user && user.isActive) {
+            if (user && user.isActive && !(await isAccessTokenRevoked(decoded, user))) {
                 req.user = user;
+                req.tokenPayload = decoded;
             }
         }
         
@@ -67,6 +77,44 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+// Permission middleware - must run after auth.
+// Passes only if the user holds every listed permission.
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ 
+            error: 'Access denied. No token provided.' 
+        });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+        return res.status(403).json({ 
+            error: 'Forbidden. Insufficient permissions.',
+            required: missing
+        });
+    }
+
+    next();
+};
+
+// Role middleware - must run after auth.
+// Passes if the user has any of the listed roles.
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ 
+            error: 'Access denied. No token provided.' 
+        });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ 
+            error: `Forbidden. Requires role: ${roles.join(' or ')}`
+        });
+    }
+
+    next();
+};
+
 // Simple auth middleware as per JD requirements
 // All /api/data/* routes must require a valid JWT
-module.exports = { auth, optionalAuth }; 
\ No newline at end of file
+module.exports = { auth, optionalAuth, requirePermission, requireRole }; 
\ No newline at end of file
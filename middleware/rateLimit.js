@@ -0,0 +1,81 @@
+// In-memory fixed-window rate limiter keyed by client IP.
+// Counters live in this process only; run behind a shared store if the API
+// is ever scaled to several instances. With skipSuccessful, requests that end
+// in a 2xx/3xx response are not counted, so only failures use up the budget.
+const createRateLimiter = ({ windowMs, max, message, keyPrefix = '', skipSuccessful = false }) => {
+    const hits = new Map();
+
+    // Drop expired windows so the map does not grow without bound
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const key = `${keyPrefix}${req.ip}`;
+
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+        if (skipSuccessful) {
+            res.on('finish', () => {
+                if (res.statusCode < 400 && entry.count > 0) entry.count -= 1;
+            });
+        }
+
+        const remaining = Math.max(0, max - entry.count);
+        const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(remaining));
+        res.set('RateLimit-Reset', String(retryAfter));
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: message || 'Too many requests. Please try again later.',
+                retryAfter
+            });
+        }
+
+        next();
+    };
+};
+
+const authWindowMs = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+// Limiter for the unauthenticated account endpoints (signup, password reset)
+const authLimiter = createRateLimiter({
+    windowMs: authWindowMs,
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+    keyPrefix: 'auth:',
+    message: 'Too many authentication attempts from this IP. Please try again later.'
+});
+
+// Login has its own bucket counting failed attempts only, so offices sharing
+// one IP are not locked out by their colleagues' successful logins
+const loginLimiter = createRateLimiter({
+    windowMs: authWindowMs,
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+    keyPrefix: 'login:',
+    skipSuccessful: true,
+    message: 'Too many failed login attempts from this IP. Please try again later.'
+});
+
+// Refresh tokens are unguessable, so the limit only guards against runaway
+// clients; every signed-in user refreshes about every 15 minutes
+const refreshLimiter = createRateLimiter({
+    windowMs: authWindowMs,
+    max: parseInt(process.env.REFRESH_RATE_LIMIT_MAX) || 1000,
+    keyPrefix: 'refresh:',
+    message: 'Too many token refreshes from this IP. Please try again later.'
+});
+
+module.exports = { createRateLimiter, authLimiter, loginLimiter, refreshLimiter };
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const SchoolSnapshot = require('./SchoolSnapshot');
+
+// Maximum number of rejected rows kept on a job for display
+const MAX_ERROR_SAMPLES = 100;
+
+const errorSampleSchema = new mongoose.Schema({
+  row: Number,
+  udise_code: String,
+  reason: String,
+}, { _id: false });
+
+// A background school import. Jobs are queued by the API or CLI and picked
+// up by the import worker, which updates counts after every batch.
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+  },
+  source: {
+    fileName: String,
+    path: {
+      type: String,
+      required: [true, 'Source file path is required'],
+    },
+    size: Number,
+    // Uploaded files are removed once the job finishes; CLI-provided files are kept
+    temporary: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // Set when the file is one academic year's data, imported as snapshots
+  academic_year: {
+    type: String,
+    validate: {
+      validator: (value) => value == null || SchoolSnapshot.isAcademicYear(value),
+      message: 'Academic year must look like 2023-24',
+    },
+  },
+  counts: {
+    processed: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  errorSamples: {
+    type: [errorSampleSchema],
+    default: [],
+  },
+  error: String,
+  cancelRequested: {
+    type: Boolean,
+    default: false,
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Worker process running the job, and when it last reported progress
+  worker: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes for the worker queue and job listings
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ created_by: 1, createdAt: -1 });
+
+importJobSchema.statics.MAX_ERROR_SAMPLES = MAX_ERROR_SAMPLES;
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
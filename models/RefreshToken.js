@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a SHA-256 hash of the
+// token is stored, so a database leak does not expose usable tokens.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // Hash of the token issued when this one was rotated
+    replacedByHash: {
+        type: String,
+        default: null
+    },
+    createdByIp: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema); 
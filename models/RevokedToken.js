@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Revocation list for access tokens that were logged out before they expired.
+// Entries only need to live as long as the token itself would have.
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB purge entries once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema); 
@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+// Custom validators also run on null, which means "unknown" for these fields
+const isWholeNumber = (value) => value == null || Number.isInteger(value);
+
+// GeoJSON point ([longitude, latitude]) kept in sync with `coordinates`
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true,
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+  },
+}, { _id: false });
+
 const schoolSchema = new mongoose.Schema({
   udise_code: {
     type: String,
@@ -60,19 +76,135 @@ const schoolSchema = new mongoose.Schema({
     enum: ['Operational', 'Permanently Closed', 'Other'],
     default: 'Operational',
   },
+  establishment_year: {
+    type: Number,
+    min: [1800, 'Establishment year must be 1800 or later'],
+    validate: [
+      {
+        validator: isWholeNumber,
+        message: 'Establishment year must be a whole number',
+      },
+      {
+        validator: (value) => value == null || value <= new Date().getFullYear(),
+        message: 'Establishment year cannot be in the future',
+      },
+    ],
+  },
+  total_students: {
+    type: Number,
+    min: [0, 'Total students cannot be negative'],
+    validate: {
+      validator: isWholeNumber,
+      message: 'Total students must be a whole number',
+    },
+  },
+  total_teachers: {
+    type: Number,
+    min: [0, 'Total teachers cannot be negative'],
+    validate: {
+      validator: isWholeNumber,
+      message: 'Total teachers must be a whole number',
+    },
+  },
+  infrastructure: {
+    has_electricity: Boolean,
+    has_drinking_water: Boolean,
+    has_toilets: Boolean,
+    has_library: Boolean,
+    has_computer_lab: Boolean,
+  },
+  academic_performance: {
+    pass_percentage: {
+      type: Number,
+      min: [0, 'Pass percentage must be between 0 and 100'],
+      max: [100, 'Pass percentage must be between 0 and 100'],
+    },
+    dropout_rate: {
+      type: Number,
+      min: [0, 'Dropout rate must be between 0 and 100'],
+      max: [100, 'Dropout rate must be between 0 and 100'],
+    },
+  },
+  contact_info: {
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^$|^[0-9+\-() ]{6,20}$/, 'Please enter a valid phone number'],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^$|^\S+@\S+\.\S+$/, 'Please enter a valid email'],
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90'],
+    },
+    longitude: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180'],
+    },
+  },
+  geo_location: {
+    type: pointSchema,
+    default: undefined,
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
 });
 
 // Indexes for better query performance
 schoolSchema.index({ udise_code: 1 });
-schoolSchema.index({ state: 1, district: 1, block: 1, village: 1 });
+// Also serves the export's hierarchy order, with _id as its tie-breaker
+schoolSchema.index({ state: 1, district: 1, block: 1, village: 1, _id: 1 });
 schoolSchema.index({ school_name: 'text', udise_code: 'text' });
 schoolSchema.index({ isActive: 1 });
+schoolSchema.index({ management: 1, location: 1, school_type: 1 });
+// Sortable listing columns. Sorts end with an _id tie-breaker in the same
+// direction as the column, so each needs { column, _id } to avoid an
+// in-memory sort (an index serves its exact order and the reverse).
+['school_name', 'state', 'district', 'block', 'village', 'management', 'location', 'school_type']
+  .forEach((field) => schoolSchema.index({ [field]: 1, _id: 1 }));
+schoolSchema.index({ createdAt: -1, _id: -1 });
+// Nearby and bounding-box queries (schools without coordinates are not indexed)
+schoolSchema.index({ geo_location: '2dsphere' });
+
+// Build the GeoJSON point for a { latitude, longitude } pair, or null when
+// either half is unknown
+schoolSchema.statics.toGeoPoint = function(coordinates) {
+  if (!coordinates || coordinates.latitude == null || coordinates.longitude == null) return null;
+  return { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] };
+};
+
+// Keep geo_location in step with coordinates on save and insertMany.
+// Updates that bypass documents set geo_location themselves.
+schoolSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('coordinates')) {
+    this.geo_location = this.constructor.toGeoPoint(this.coordinates) || undefined;
+  }
+  next();
+});
 
 // Distribution aggregation method
 // schoolSchema.statics.getDistribution = async function (filters = {}) {
@@ -119,39 +251,151 @@ schoolSchema.index({ isActive: 1 });
 //   };
 // };
 
-// In models/School.js
-schoolSchema.statics.getDistribution = async function(filters = {}) {
-  const matchStage = { ...filters, isActive: { $ne: false }  };
-
-  const [managementTypeDistribution, locationDistribution, schoolTypeDistribution] = await Promise.all([
-    this.aggregate([
-      { $match: matchStage },
-      { $group: { _id: "$management", count: { $sum: 1 } } },
-      { $project: { label: "$_id", count: 1, _id: 0 } }
-    ]),
-    this.aggregate([
-      { $match: matchStage },
-      { $group: { _id: "$location", count: { $sum: 1 } } },
-      { $project: { label: "$_id", count: 1, _id: 0 } }
-    ]),
-    this.aggregate([
-      { $match: matchStage },
-      { $group: { _id: "$school_type", count: { $sum: 1 } } },
-      { $project: { label: "$_id", count: 1, _id: 0 } }
-    ]),
-  ]);
-  
-  // const totalSchools = await this.countDocuments(matchStage);
-
-  const totalSchools = managementTypeDistribution.reduce((sum, d) => sum + d.count, 0);
+// Each school document counts once. Summary rows (see models/SchoolSummary.js)
+// borrow these statics and stand for `count` schools each.
+const schoolCount = (model) => (model.schema.path('count') ? '$count' : 1);
+
+// Dimensions charted when no others are requested
+const defaultDistributionDimensions = ['management', 'location', 'school_type'];
+
+// Distribution method: counts per value of each dimension, computed in a single
+// $facet pass. Every dimension comes back as [{ label, count }], largest first.
+schoolSchema.statics.getDistribution = async function(filters = {}, dimensions = defaultDistributionDimensions) {
+  const matchStage = { ...filters, isActive: { $ne: false } };
+  const count = schoolCount(this);
+
+  const facets = { totalCounts: [{ $group: { _id: null, total: { $sum: count } } }] };
+  dimensions.forEach((dimension) => {
+    facets[dimension] = [
+      { $group: { _id: `$${dimension}`, count: { $sum: count } } },
+      { $project: { label: '$_id', count: 1, _id: 0 } },
+      { $sort: { count: -1, label: 1 } },
+    ];
+  });
+
+  const [result] = await this.aggregate([
+    { $match: matchStage },
+    { $facet: facets },
+  ]).allowDiskUse(true);
+
+  const distributions = {};
+  dimensions.forEach((dimension) => {
+    distributions[dimension] = (result && result[dimension]) || [];
+  });
 
   return {
-    managementTypeDistribution,
-    locationDistribution,
-    schoolTypeDistribution,
-    totalSchools,
+    distributions,
+    totalSchools: (result && result.totalCounts[0] && result.totalCounts[0].total) || 0,
   };
 };
 
+// Attributes split out for every child row of a rollup
+const rollupSplits = ['management', 'location', 'school_type'];
+
+// Rollup method: counts per child area (e.g. per district of a state) with
+// management/location/type splits, in a single grouping pass. Zero counts are
+// kept so every row has the same shape.
+schoolSchema.statics.getRollup = async function(filters, level) {
+  // $group keys cannot contain dots, so each split value gets a positional key
+  const splitKeys = rollupSplits.flatMap((field) => this.schema.path(field).enumValues
+    .map((value, index) => ({ field, value, key: `${field}_${index}` })));
+  const count = schoolCount(this);
+
+  const groups = await this.aggregate([
+    { $match: filters },
+    {
+      $group: {
+        _id: `$${level}`,
+        total: { $sum: count },
+        ...Object.fromEntries(splitKeys.map(({ field, value, key }) => [
+          key,
+          { $sum: { $cond: [{ $eq: [`$${field}`, value] }, count, 0] } },
+        ])),
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const emptySplits = () => Object.fromEntries(rollupSplits.map((field) => [field, {}]));
+  const totals = { total: 0, ...emptySplits() };
+  splitKeys.forEach(({ field, value }) => {
+    totals[field][value] = 0;
+  });
+
+  const rows = groups.map((group) => {
+    const row = { name: group._id, total: group.total, ...emptySplits() };
+    totals.total += group.total;
+    splitKeys.forEach(({ field, value, key }) => {
+      row[field][value] = group[key];
+      totals[field][value] += group[key];
+    });
+    return row;
+  });
+
+  return { rows, totals };
+};
+
+// Share of a total as a percentage with two decimals
+const toPercentage = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+// Labels of a cross-tab dimension: every enum value in schema order, or the
+// values present in the data sorted alphabetically (unknown values last)
+const crossTabLabels = (schema, field, present) => {
+  const { enumValues } = schema.path(field);
+  if (enumValues && enumValues.length > 0) {
+    return [...enumValues, ...present.filter((value) => !enumValues.includes(value))];
+  }
+  return [...present].sort((a, b) => {
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return String(a).localeCompare(String(b));
+  });
+};
+
+// Largest matrix a cross-tab builds; with four matrices of this size the
+// response stays a few MB. District by block nationally is far above it.
+const CROSSTAB_MAX_CELLS = 10000;
+
+// Cross-tab method: counts for every combination of two fields, as a matrix
+// with row/column totals and percentages of the grand total, of each row and
+// of each column. Returns { error } when the matrix would exceed
+// CROSSTAB_MAX_CELLS, before it is built.
+schoolSchema.statics.getCrossTab = async function(filters, rowField, colField) {
+  const groups = await this.aggregate([
+    { $match: filters },
+    { $group: { _id: { row: `$${rowField}`, col: `$${colField}` }, count: { $sum: schoolCount(this) } } },
+  ]).allowDiskUse(true);
+
+  const rowLabels = crossTabLabels(this.schema, rowField, [...new Set(groups.map((group) => group._id.row ?? null))]);
+  const colLabels = crossTabLabels(this.schema, colField, [...new Set(groups.map((group) => group._id.col ?? null))]);
+  if (rowLabels.length * colLabels.length > CROSSTAB_MAX_CELLS) {
+    return {
+      error: `Cross-tab of ${rowLabels.length} ${rowField} by ${colLabels.length} ${colField} values exceeds `
+        + `${CROSSTAB_MAX_CELLS} cells. Narrow it with hierarchy or attribute filters`,
+    };
+  }
+
+  const counts = rowLabels.map(() => colLabels.map(() => 0));
+  groups.forEach((group) => {
+    counts[rowLabels.indexOf(group._id.row ?? null)][colLabels.indexOf(group._id.col ?? null)] += group.count;
+  });
+
+  const rowTotals = counts.map((cells) => cells.reduce((sum, count) => sum + count, 0));
+  const colTotals = colLabels.map((label, col) => counts.reduce((sum, cells) => sum + cells[col], 0));
+  const total = rowTotals.reduce((sum, count) => sum + count, 0);
+
+  return {
+    rows: rowLabels,
+    columns: colLabels,
+    counts,
+    rowTotals,
+    columnTotals: colTotals,
+    total,
+    percentages: {
+      ofTotal: counts.map((cells) => cells.map((count) => toPercentage(count, total))),
+      ofRow: counts.map((cells, row) => cells.map((count) => toPercentage(count, rowTotals[row]))),
+      ofColumn: counts.map((cells) => cells.map((count, col) => toPercentage(count, colTotals[col]))),
+    },
+  };
+};
 
 module.exports = mongoose.model('School', schoolSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One entry per change to a school record: who made it, when, and a
+// field-level before/after diff (nested fields use dotted paths).
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+const schoolAuditSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: true,
+  },
+  udise_code: {
+    type: String,
+    trim: true,
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true,
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  changes: {
+    type: [changeSchema],
+    default: [],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for history lookups
+schoolAuditSchema.index({ school: 1, createdAt: -1 });
+schoolAuditSchema.index({ changed_by: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SchoolAudit', schoolAuditSchema);
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const School = require('./School');
+
+// Academic years are written as published by UDISE+, e.g. 2023-24
+const ACADEMIC_YEAR_PATTERN = /^(\d{4})-(\d{2})$/;
+
+const isAcademicYear = (value) => {
+  const match = ACADEMIC_YEAR_PATTERN.exec(value || '');
+  return !!match && (Number(match[1]) + 1) % 100 === Number(match[2]);
+};
+
+const enumOf = (field) => School.schema.path(field).enumValues;
+
+// The state of one school in one academic year. Rows are validated against
+// the School schema when imported, so only types and enums are repeated here.
+const schoolSnapshotSchema = new mongoose.Schema({
+  academic_year: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    validate: {
+      validator: isAcademicYear,
+      message: 'Academic year must look like 2023-24',
+    },
+  },
+  udise_code: {
+    type: String,
+    required: [true, 'UDISE code is required'],
+    trim: true,
+  },
+  school_name: String,
+  state: String,
+  district: String,
+  block: String,
+  village: String,
+  cluster: String,
+  management: { type: String, enum: enumOf('management') },
+  location: { type: String, enum: enumOf('location') },
+  school_type: { type: String, enum: enumOf('school_type') },
+  school_category: String,
+  school_status: { type: String, enum: enumOf('school_status') },
+  establishment_year: Number,
+  total_students: Number,
+  total_teachers: Number,
+  infrastructure: {
+    has_electricity: Boolean,
+    has_drinking_water: Boolean,
+    has_toilets: Boolean,
+    has_library: Boolean,
+    has_computer_lab: Boolean,
+  },
+  academic_performance: {
+    pass_percentage: Number,
+    dropout_rate: Number,
+  },
+  contact_info: {
+    phone: String,
+    email: String,
+    website: String,
+  },
+  coordinates: {
+    latitude: Number,
+    longitude: Number,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  collection: 'school_snapshots',
+});
+
+// One snapshot per school and year; year-scoped listing and trend queries
+schoolSnapshotSchema.index({ academic_year: 1, udise_code: 1 }, { unique: true });
+schoolSnapshotSchema.index({ academic_year: 1, state: 1, district: 1, block: 1, village: 1 });
+schoolSnapshotSchema.index({ udise_code: 1, academic_year: 1 });
+schoolSnapshotSchema.index({ academic_year: 1, createdAt: -1 });
+
+// Year-scoped charts use the same aggregations as the live collection
+schoolSnapshotSchema.statics.getDistribution = School.schema.statics.getDistribution;
+
+schoolSnapshotSchema.statics.isAcademicYear = isAcademicYear;
+
+// Change between two yearly values, or null for the first year
+const describeChange = (current, previous) => {
+  if (previous == null) return null;
+  return {
+    count: current - previous,
+    percentage: previous > 0 ? Math.round(((current - previous) / previous) * 10000) / 100 : null,
+  };
+};
+
+// Trends method: per academic year, the number of schools, enrollment and
+// staffing, plus schools opened, closed and changing management since the
+// previous loaded year. Each school's snapshots are compared with its
+// neighbouring years using $setWindowFields (MongoDB 5.0+).
+schoolSnapshotSchema.statics.getTrends = async function(filters = {}) {
+  const years = (await this.distinct('academic_year', filters)).sort();
+  if (years.length === 0) return [];
+
+  const isActive = { $ne: ['$isActive', false] };
+  const hadPreviousYear = { $eq: ['$prevIndex', { $subtract: ['$yearIndex', 1] }] };
+
+  const groups = await this.aggregate([
+    { $match: filters },
+    {
+      $setWindowFields: {
+        partitionBy: '$udise_code',
+        sortBy: { academic_year: 1 },
+        output: {
+          prevYear: { $shift: { output: '$academic_year', by: -1 } },
+          prevActive: { $shift: { output: '$isActive', by: -1 } },
+          prevManagement: { $shift: { output: '$management', by: -1 } },
+          nextYear: { $shift: { output: '$academic_year', by: 1 } },
+        },
+      },
+    },
+    {
+      $addFields: {
+        yearIndex: { $indexOfArray: [years, '$academic_year'] },
+        prevIndex: { $indexOfArray: [years, '$prevYear'] },
+        nextIndex: { $indexOfArray: [years, '$nextYear'] },
+      },
+    },
+    {
+      $group: {
+        _id: '$yearIndex',
+        totalSchools: { $sum: 1 },
+        activeSchools: { $sum: { $cond: [isActive, 1, 0] } },
+        totalStudents: { $sum: '$total_students' },
+        totalTeachers: { $sum: '$total_teachers' },
+        // Active now, but missing or inactive the year before
+        opened: {
+          $sum: { $cond: [{ $and: [isActive, { $or: [{ $not: [hadPreviousYear] }, { $eq: ['$prevActive', false] }] }] }, 1, 0] },
+        },
+        // Inactive now after being active the year before
+        closedInYear: {
+          $sum: { $cond: [{ $and: [{ $not: [isActive] }, hadPreviousYear, { $ne: ['$prevActive', false] }] }, 1, 0] },
+        },
+        // Active now, but missing from the next loaded year
+        missingNextYear: {
+          $sum: {
+            $cond: [{
+              $and: [
+                isActive,
+                { $lt: ['$yearIndex', years.length - 1] },
+                { $ne: ['$nextIndex', { $add: ['$yearIndex', 1] }] },
+              ],
+            }, 1, 0],
+          },
+        },
+        managementChanges: {
+          $sum: { $cond: [{ $and: [hadPreviousYear, { $ne: ['$prevManagement', '$management'] }] }, 1, 0] },
+        },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const byIndex = new Map(groups.map((group) => [group._id, group]));
+  const empty = { totalSchools: 0, activeSchools: 0, totalStudents: 0, totalTeachers: 0, opened: 0, closedInYear: 0, missingNextYear: 0, managementChanges: 0 };
+
+  return years.map((academic_year, index) => {
+    const current = byIndex.get(index) || empty;
+    const previous = index > 0 ? byIndex.get(index - 1) || empty : null;
+
+    return {
+      academic_year,
+      totalSchools: current.totalSchools,
+      activeSchools: current.activeSchools,
+      totalStudents: current.totalStudents,
+      totalTeachers: current.totalTeachers,
+      // The first loaded year is the baseline and has nothing to compare with
+      opened: previous ? current.opened : null,
+      closed: previous ? current.closedInYear + previous.missingNextYear : null,
+      managementChanges: previous ? current.managementChanges : null,
+      change: {
+        activeSchools: describeChange(current.activeSchools, previous && previous.activeSchools),
+        totalStudents: describeChange(current.totalStudents, previous && previous.totalStudents),
+        totalTeachers: describeChange(current.totalTeachers, previous && previous.totalTeachers),
+      },
+    };
+  });
+};
+
+module.exports = mongoose.model('SchoolSnapshot', schoolSnapshotSchema);
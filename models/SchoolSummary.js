@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const School = require('./School');
+
+const enumOf = (field) => School.schema.path(field).enumValues;
+
+// Fields a summary row is keyed by. Queries filtering or grouping on anything
+// else (village, cluster, school_category, ...) must read the schools.
+const SUMMARY_FIELDS = ['state', 'district', 'block', 'management', 'location', 'school_type', 'school_status', 'isActive'];
+
+// Materialised count of the live schools sharing one combination of the
+// summary fields. Rebuilt by `npm run summaries:rebuild` and kept current by
+// every write made through the API.
+const schoolSummarySchema = new mongoose.Schema({
+  state: String,
+  district: String,
+  block: String,
+  management: { type: String, enum: enumOf('management') },
+  location: { type: String, enum: enumOf('location') },
+  school_type: { type: String, enum: enumOf('school_type') },
+  school_status: { type: String, enum: enumOf('school_status') },
+  isActive: Boolean,
+  count: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  collection: 'school_summaries',
+  versionKey: false,
+});
+
+// One row per combination; hierarchy lookups
+schoolSummarySchema.index(Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, 1])), { unique: true });
+schoolSummarySchema.index({ state: 1, district: 1, block: 1 });
+
+// Dashboard aggregates run on summary rows exactly as on schools
+schoolSummarySchema.statics.getDistribution = School.schema.statics.getDistribution;
+schoolSummarySchema.statics.getRollup = School.schema.statics.getRollup;
+
+schoolSummarySchema.statics.SUMMARY_FIELDS = SUMMARY_FIELDS;
+
+module.exports = mongoose.model('SchoolSummary', schoolSummarySchema);
@@ -1,6 +1,30 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Permissions granted to each role. Admins implicitly hold every permission.
+// User management is not a permission: the admin API requires the admin role.
+const ROLE_PERMISSIONS = {
+    admin: [
+        'view_schools',
+        'create_schools',
+        'edit_schools',
+        'delete_schools',
+        'restore_schools'
+    ],
+    editor: ['view_schools', 'create_schools', 'edit_schools', 'delete_schools', 'restore_schools'],
+    viewer: ['view_schools']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const PERMISSIONS = ROLE_PERMISSIONS.admin;
+
+// Account lockout after repeated failed logins
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME_MS = 15 * 60 * 1000; // 15 minutes
+
+// Administrative levels a user can be bound to, from widest to narrowest
+const JURISDICTION_LEVELS = ['state', 'district', 'block'];
+
 const userSchema = new mongoose.Schema({
     email: {
         type: String,
@@ -22,9 +46,80 @@ const userSchema = new mongoose.Schema({
             return this.email.split('@')[0];
         }
     },
+    role: {
+        type: String,
+        enum: {
+            values: ROLES,
+            message: 'Role must be one of: ' + ROLES.join(', ')
+        },
+        default: 'viewer'
+    },
+    // Extra permissions granted on top of the role's defaults
+    permissions: {
+        type: [{
+            type: String,
+            enum: {
+                values: PERMISSIONS,
+                message: 'Unknown permission: {VALUE}'
+            }
+        }],
+        default: []
+    },
+    // Area the user is restricted to; an empty jurisdiction means national access
+    jurisdiction: {
+        state: {
+            type: String,
+            trim: true
+        },
+        district: {
+            type: String,
+            trim: true,
+            validate: {
+                validator: function(value) {
+                    return !value || !!this.jurisdiction.state;
+                },
+                message: 'Jurisdiction district requires a state'
+            }
+        },
+        block: {
+            type: String,
+            trim: true,
+            validate: {
+                validator: function(value) {
+                    return !value || !!this.jurisdiction.district;
+                },
+                message: 'Jurisdiction block requires a district'
+            }
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // SHA-256 hash of the outstanding password reset token, if any
+    passwordResetTokenHash: {
+        type: String
+    },
+    passwordResetExpires: {
+        type: Date
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date
+    },
+    last_login: {
+        type: Date
     }
 }, {
     timestamps: true
@@ -37,6 +132,7 @@ userSchema.pre('save', async function(next) {
     try {
         const salt = await bcrypt.genSalt(12);
         this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) this.passwordChangedAt = new Date();
         next();
     } catch (error) {
         next(error);
@@ -48,15 +144,91 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the account is temporarily locked
+userSchema.methods.isLocked = function() {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Method to record a failed login, locking the account once the limit is hit.
+// The counter is incremented atomically, so concurrent guesses cannot all read
+// the same count and slip past the limit.
+userSchema.methods.registerFailedLogin = async function() {
+    const User = this.constructor;
+    const now = new Date();
+
+    // A previous lock has run out - start counting again
+    await User.updateOne(
+        { _id: this._id, lockUntil: { $lte: now } },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+
+    const updated = await User.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    );
+    if (!updated) return this;
+
+    if (updated.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS && !updated.isLocked()) {
+        updated.lockUntil = new Date(Date.now() + LOCK_TIME_MS);
+        await User.updateOne({ _id: this._id }, { lockUntil: updated.lockUntil });
+    }
+
+    // Keep the caller's copy in step, e.g. for isLocked()
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lockUntil = updated.lockUntil;
+    return updated;
+};
+
+// Method to record a successful login
+userSchema.methods.registerSuccessfulLogin = async function() {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    this.last_login = new Date();
+    return this.save();
+};
+
+// Method to check whether the user holds a permission (via role or explicit grant)
+userSchema.methods.hasPermission = function(permission) {
+    if (this.role === 'admin') return true;
+    const rolePermissions = ROLE_PERMISSIONS[this.role] || [];
+    return rolePermissions.includes(permission) || (this.permissions || []).includes(permission);
+};
+
+// Method to list the effective permissions of the user
+userSchema.methods.getEffectivePermissions = function() {
+    const rolePermissions = ROLE_PERMISSIONS[this.role] || [];
+    return [...new Set([...rolePermissions, ...(this.permissions || [])])];
+};
+
+// Method to check whether a location (state/district/block) lies inside the user's jurisdiction
+userSchema.methods.isWithinJurisdiction = function(location = {}) {
+    const jurisdiction = this.jurisdiction || {};
+    return JURISDICTION_LEVELS.every(level => !jurisdiction[level] || jurisdiction[level] === location[level]);
+};
+
 // Method to get user without password
 userSchema.methods.toJSON = function() {
     const user = this.toObject();
     delete user.password;
+    delete user.tokenVersion;
+    delete user.passwordResetTokenHash;
+    delete user.passwordResetExpires;
+    delete user.failedLoginAttempts;
     return user;
 };
 
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
+const User = mongoose.model('User', userSchema);
+
+User.ROLES = ROLES;
+User.PERMISSIONS = PERMISSIONS;
+User.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+User.JURISDICTION_LEVELS = JURISDICTION_LEVELS;
 
-module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
+module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,305 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { auth, requireRole } = require('../middleware/auth');
+const { revokeAllSessions } = require('../utils/tokens');
+const { startPasswordReset } = require('../utils/passwordReset');
+const { getStats, invalidate, resetStats } = require('../utils/cache');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(auth, requireRole('admin'));
+
+// Fields an admin may see on a user record
+const userFields = 'email name role permissions jurisdiction isActive last_login lockUntil createdAt updatedAt';
+
+// Helper function for pagination
+const buildPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  const skip = (page - 1) * limit;
+
+  return { page, limit, skip };
+};
+
+// Helper function to check a jurisdiction body: a plain object holding only
+// state/district/block strings. Anything else must not be read as "clear",
+// which would grant national access.
+const isJurisdiction = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+  && Object.entries(value).every(([level, name]) => User.JURISDICTION_LEVELS.includes(level)
+    && (name == null || typeof name === 'string'));
+
+// Helper function to escape user input used inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper middleware to load the :id user or respond with 400/404
+const loadUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID',
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to stop admins from locking themselves out
+const isSelf = (req) => req.targetUser._id.equals(req.user._id);
+
+// @route   GET /api/admin/users
+// @desc    List/search users (search, role, isActive, state filters) with pagination
+// @access  Private (admin only)
+router.get('/users', async (req, res) => {
+  try {
+    const { search, role, isActive, state } = req.query;
+    const { page, limit, skip } = buildPagination(req.query);
+
+    const filters = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filters.$or = [{ email: pattern }, { name: pattern }];
+    }
+    if (role) {
+      if (!User.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid role value. Must be one of: ${User.ROLES.join(', ')}`,
+        });
+      }
+      filters.role = role;
+    }
+    if (isActive === 'true' || isActive === 'false') {
+      filters.isActive = isActive === 'true';
+    }
+    if (state) {
+      filters['jurisdiction.state'] = state;
+    }
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filters),
+      User.find(filters)
+        .select(userFields)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRecords: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit,
+      },
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching users',
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a single user
+// @access  Private (admin only)
+router.get('/users/:id', loadUser, async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...req.targetUser.toJSON(),
+      effectivePermissions: req.targetUser.getEffectivePermissions(),
+    },
+  });
+});
+
+// @route   PATCH /api/admin/users/:id
+// @desc    Change a user's name, role, extra permissions or jurisdiction
+// @access  Private (admin only)
+router.patch('/users/:id', loadUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    const { name, role, permissions, jurisdiction } = req.body;
+
+    if (role !== undefined && isSelf(req) && role !== user.role) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role',
+      });
+    }
+    if (permissions !== undefined && !Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'permissions must be an array',
+      });
+    }
+    if (jurisdiction !== undefined && jurisdiction !== null && !isJurisdiction(jurisdiction)) {
+      return res.status(400).json({
+        success: false,
+        error: 'jurisdiction must be null or an object with string state, district and block fields',
+      });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (permissions !== undefined) user.permissions = permissions;
+    if (jurisdiction !== undefined) {
+      // null clears the jurisdiction (national access)
+      const { state, district, block } = jurisdiction || {};
+      user.jurisdiction = { state, district, block };
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user,
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while updating user',
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/activate
+// @desc    Reactivate a user (also clears any login lockout)
+// @access  Private (admin only)
+router.post('/users/:id/activate', loadUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    user.isActive = true;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User activated successfully',
+      data: user,
+    });
+  } catch (error) {
+    console.error('Activate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while activating user',
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/deactivate
+// @desc    Deactivate a user and end all of their sessions
+// @access  Private (admin only)
+router.post('/users/:id/deactivate', loadUser, async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account',
+      });
+    }
+
+    const user = req.targetUser;
+    user.isActive = false;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user,
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while deactivating user',
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Invalidate the user's password and sessions and email them a reset link
+// @access  Private (admin only)
+router.post('/users/:id/force-password-reset', loadUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    // Replace the password with an unknown random one so only the reset link works
+    user.password = crypto.randomBytes(32).toString('hex');
+    await startPasswordReset(user, { forced: true });
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset forced. The user has been emailed a reset link.',
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while forcing password reset',
+    });
+  }
+});
+
+// @route   GET /api/admin/cache
+// @desc    Query cache store, hit/miss counts and hit rate
+// @access  Private (admin only)
+router.get('/cache', (req, res) => {
+  res.json({
+    success: true,
+    data: getStats(),
+  });
+});
+
+// @route   DELETE /api/admin/cache
+// @desc    Drop every cached query result (?resetStats=true also zeroes the counters)
+// @access  Private (admin only)
+router.delete('/cache', (req, res) => {
+  invalidate();
+  if (req.query.resetStats === 'true') resetStats();
+
+  res.json({
+    success: true,
+    message: 'Cache cleared',
+    data: getStats(),
+  });
+});
+
+module.exports = router;
@@ -1,25 +1,35 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { authLimiter, loginLimiter, refreshLimiter } = require('../middleware/rateLimit');
+const { startPasswordReset } = require('../utils/passwordReset');
+const {
+    hashToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    revokeAllSessions
+} = require('../utils/tokens');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign(
-        { userId },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-    );
+// 423 response for a temporarily locked account
+const sendLockedResponse = (res, user) => {
+    const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(423).json({
+        error: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
+        retryAfter
+    });
 };
 
 // @route   POST /api/auth/signup
 // @desc    Register user (store hashed password) - JD Requirement
 // @access  Public
-router.post('/signup', async (req, res) => {
+router.post('/signup', authLimiter, async (req, res) => {
     try {
-        const { email, password, role } = req.body;
+        const { email, password } = req.body;
 
         // Validation
         if (!email || !password) {
@@ -42,28 +52,33 @@ router.post('/signup', async (req, res) => {
             });
         }
 
-        // Create new user
+        // Create new user - self-registered accounts are always viewers,
+        // elevated roles are granted by an admin
         const user = new User({
             email,
             password,
             name: email.split('@')[0], // Use email prefix as name
-            role: role || 'user',
-            permissions: ['view_schools']
+            role: 'viewer'
         });
 
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Generate access and refresh tokens
+        const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
         res.status(201).json({
             message: 'User registered successfully',
             user: {
                 id: user._id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role,
+                permissions: user.getEffectivePermissions(),
+                jurisdiction: user.jurisdiction
             },
-            token
+            token,
+            refreshToken,
+            expiresIn
         });
 
     } catch (error) {
@@ -85,7 +100,7 @@ router.post('/signup', async (req, res) => {
 // @route   POST /api/auth/login  
 // @desc    Login with email & password → return JWT - JD Requirement
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -111,29 +126,44 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        // Check lockout
+        if (user.isLocked()) {
+            return sendLockedResponse(res, user);
+        }
+
         // Check password
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
+            await user.registerFailedLogin();
+
+            if (user.isLocked()) {
+                return sendLockedResponse(res, user);
+            }
+
             return res.status(401).json({
                 error: 'Invalid credentials'
             });
         }
 
-        // Update last login
-        user.last_login = new Date();
-        await user.save();
+        // Reset failed attempts and update last login
+        await user.registerSuccessfulLogin();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Generate access and refresh tokens
+        const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
         res.json({
             message: 'Login successful',
             user: {
                 id: user._id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role,
+                permissions: user.getEffectivePermissions(),
+                jurisdiction: user.jurisdiction
             },
-            token
+            token,
+            refreshToken,
+            expiresIn
         });
 
     } catch (error) {
@@ -150,7 +180,10 @@ router.post('/login', async (req, res) => {
 router.get('/me', auth, async (req, res) => {
     try {
         res.json({
-            user: req.user
+            user: {
+                ...req.user.toJSON(),
+                effectivePermissions: req.user.getEffectivePermissions()
+            }
         });
     } catch (error) {
         console.error('Get user error:', error);
@@ -160,13 +193,53 @@ router.get('/me', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (refresh token required)
+router.post('/refresh', refreshLimiter, async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: 'Refresh token is required'
+            });
+        }
+
+        const result = await rotateRefreshToken(refreshToken, req);
+        if (result.error) {
+            return res.status(401).json({
+                error: result.error
+            });
+        }
+
+        res.json({
+            message: 'Token refreshed',
+            token: result.tokens.token,
+            refreshToken: result.tokens.refreshToken,
+            expiresIn: result.tokens.expiresIn
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            error: 'Internal server error during token refresh'
+        });
+    }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout current session (revokes the access token and, if sent, the refresh token)
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
     try {
-        // In a real application, you might want to blacklist the token
-        // For now, we'll just return success (client removes token)
+        const { refreshToken } = req.body;
+
+        await Promise.all([
+            revokeAccessToken(req.tokenPayload),
+            refreshToken ? revokeRefreshToken(refreshToken, req.user._id) : null
+        ]);
+
         res.json({
             message: 'Logout successful'
         });
@@ -178,4 +251,162 @@ router.post('/logout', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout from all devices (revokes every access and refresh token)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        await revokeAllSessions(req.user._id);
+
+        res.json({
+            message: 'Logged out from all devices'
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            error: 'Internal server error during logout'
+        });
+    }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password of the logged-in user (ends all other sessions)
+// @access  Private
+router.post('/change-password', auth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        // Validation
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                error: 'Current password and new password are required'
+            });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({
+                error: 'Password must be at least 6 characters long'
+            });
+        }
+
+        // req.user is loaded without the password hash
+        const user = await User.findById(req.user._id);
+
+        const isPasswordValid = await user.comparePassword(currentPassword);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                error: 'Current password is incorrect'
+            });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        // Revoke every existing session and hand back a fresh one
+        const updatedUser = await revokeAllSessions(user._id);
+        const { token, refreshToken, expiresIn } = await issueTokens(updatedUser, req);
+
+        res.json({
+            message: 'Password changed successfully',
+            token,
+            refreshToken,
+            expiresIn
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            error: 'Internal server error while changing password'
+        });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link to the user's email
+// @access  Public
+router.post('/forgot-password', authLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                error: 'Email is required'
+            });
+        }
+
+        // Same response whether or not the account exists, to avoid user enumeration
+        const response = {
+            message: 'If an account exists for this email, a password reset link has been sent'
+        };
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+        if (!user || !user.isActive) {
+            return res.json(response);
+        }
+
+        await startPasswordReset(user);
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            error: 'Internal server error while requesting password reset'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token (ends all sessions)
+// @access  Public (reset token required)
+router.post('/reset-password', authLimiter, async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        // Validation
+        if (!token || !newPassword) {
+            return res.status(400).json({
+                error: 'Reset token and new password are required'
+            });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({
+                error: 'Password must be at least 6 characters long'
+            });
+        }
+
+        const user = await User.findOne({
+            passwordResetTokenHash: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user || !user.isActive) {
+            return res.status(400).json({
+                error: 'Invalid or expired reset token'
+            });
+        }
+
+        user.password = newPassword;
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        // Proving control of the mailbox also lifts a lockout
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
+        await user.save();
+
+        await revokeAllSessions(user._id);
+
+        res.json({
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            error: 'Internal server error while resetting password'
+        });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,19 +1,100 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
 const School = require('../models/School');
-const { auth } = require('../middleware/auth');
+const SchoolAudit = require('../models/SchoolAudit');
+const SchoolSnapshot = require('../models/SchoolSnapshot');
+const SchoolSummary = require('../models/SchoolSummary');
+const { recordSchoolChange } = require('../utils/audit');
+const { parseSchoolFile, importSchoolRows, supportedExtensions } = require('../utils/schoolImport');
+const { exportFormats, streamSchoolExport } = require('../utils/schoolExport');
+const {
+  MIN_ZOOM,
+  MAX_ZOOM,
+  clusterCellSize,
+  toSchoolFeature,
+  buildClusterPipeline,
+  toClusterFeature,
+} = require('../utils/schoolGeoJson');
+const { encodeCursor, decodeCursor, buildKeysetFilter, reverseSort } = require('../utils/cursorPagination');
+const { detailGroups, toUpdatePaths } = require('../utils/schoolRowMapper');
+const { cached, invalidate: invalidateCache } = require('../utils/cache');
+const {
+  summariesBuilt,
+  summariesReady,
+  canUseSummaries,
+  rebuildSchoolSummaries,
+  updateSchoolSummaries,
+} = require('../utils/schoolSummaries');
+const { auth, optionalAuth, requirePermission, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Uploads are held in memory and parsed in one go
+const MAX_UPLOAD_SIZE = 25 * 1024 * 1024; // 25 MB
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!supportedExtensions.includes(extension)) {
+      return cb(new Error(`Unsupported file type. Upload one of: ${supportedExtensions.join(', ')}`));
+    }
+    cb(null, true);
+  },
+});
+
+// Helper middleware to accept a single `file` upload and turn multer errors into 400s
+const uploadSchoolFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `File too large. Maximum size is ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB`
+          : error.message,
+      });
+    }
+    next();
+  });
+};
+
 // Valid enum values from School schema
 const validManagement = ['Government', 'Private Unaided', 'Aided', 'Other'];
 const validLocation = ['Rural', 'Urban', 'Other'];
 const validSchoolType = ['Co-Ed', 'Girls', 'Boys', 'Other'];
 const validSchoolStatus = ['Operational', 'Permanently Closed', 'Other'];
 
+// Hierarchy levels, from widest to narrowest
+const hierarchyLevels = ['state', 'district', 'block', 'village'];
+
+// Helper function to clamp hierarchical query params to the user's jurisdiction.
+// Jurisdiction levels always win; once a requested level conflicts with the
+// jurisdiction, the narrower requested levels are dropped as well.
+const applyJurisdiction = (query, user) => {
+  const jurisdiction = user && user.jurisdiction;
+  if (!jurisdiction || !jurisdiction.state) return query;
+
+  const scoped = { ...query };
+  let conflict = false;
+
+  hierarchyLevels.forEach((level) => {
+    if (jurisdiction[level]) {
+      if (scoped[level] && scoped[level] !== jurisdiction[level]) conflict = true;
+      scoped[level] = jurisdiction[level];
+    } else if (conflict) {
+      delete scoped[level];
+    }
+  });
+
+  return scoped;
+};
+
 // Helper function to build hierarchical filters
-const buildHierarchicalFilters = (query) => {
+const buildHierarchicalFilters = (query, user) => {
   const filters = { isActive: { $ne: false } };
+  query = applyJurisdiction(query, user);
 
   if (query.state) {
     filters.state = query.state;
@@ -31,6 +112,312 @@ const buildHierarchicalFilters = (query) => {
   return filters;
 };
 
+// Attribute filters accepted on the listing and distribution. Enum fields are
+// validated against the lists above; free-text fields accept any value.
+const attributeFilters = {
+  management: validManagement,
+  location: validLocation,
+  school_type: validSchoolType,
+  school_status: validSchoolStatus,
+  school_category: null,
+  cluster: null,
+};
+
+// Helper function to read a multi-value param: ?a=x,y or ?a=x&a=y
+const parseMultiValue = (value) => []
+  .concat(value)
+  .flatMap((item) => String(item).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Helper function to build attribute filters (management, location, ...).
+// Returns { filters }, or { error } naming the first invalid value.
+const buildAttributeFilters = (query) => {
+  const filters = {};
+
+  for (const [field, allowed] of Object.entries(attributeFilters)) {
+    if (query[field] === undefined) continue;
+
+    const values = parseMultiValue(query[field]);
+    const invalid = allowed ? values.filter((value) => !allowed.includes(value)) : [];
+    if (invalid.length > 0) {
+      return { error: `Invalid ${field} value: ${invalid.join(', ')}. Must be one of: ${allowed.join(', ')}` };
+    }
+
+    if (values.length === 1) {
+      filters[field] = values[0];
+    } else if (values.length > 1) {
+      filters[field] = { $in: values };
+    }
+  }
+
+  return { filters };
+};
+
+// Helper function to apply the includeInactive/onlyInactive listing modes.
+// Returns false when the user is not allowed to see soft-deleted schools.
+const applyActivityMode = (filters, query, user) => {
+  const includeInactive = query.includeInactive === 'true';
+  const onlyInactive = query.onlyInactive === 'true';
+  if (!includeInactive && !onlyInactive) return true;
+
+  if (!user || !user.hasPermission('restore_schools')) return false;
+
+  if (onlyInactive) {
+    filters.isActive = false;
+  } else {
+    delete filters.isActive;
+  }
+  return true;
+};
+
+// Helper function to build the filters shared by the listing and the export.
+// Returns { filters }, or { status, error } when the query is not allowed.
+const buildListingFilters = (query, user) => {
+  const attributes = buildAttributeFilters(query);
+  if (attributes.error) {
+    return { status: 400, error: attributes.error };
+  }
+
+  const filters = { ...buildHierarchicalFilters(query, user), ...attributes.filters };
+
+  if (!applyActivityMode(filters, query, user)) {
+    return {
+      status: 403,
+      error: 'Forbidden. Listing inactive schools requires the restore_schools permission.',
+    };
+  }
+
+  return { filters };
+};
+
+// Fields returned by the listing and written by the export
+const listingFields = ['udise_code', 'school_name', 'state', 'district', 'block', 'village', 'cluster', 'management', 'location', 'school_type', 'school_category', 'school_status', 'establishment_year', 'total_students', 'total_teachers', 'isActive'];
+
+// Detail fields that can be requested with ?fields= on top of the listing fields
+const detailFields = [
+  'infrastructure', 'infrastructure.has_electricity', 'infrastructure.has_drinking_water', 'infrastructure.has_toilets',
+  'infrastructure.has_library', 'infrastructure.has_computer_lab',
+  'academic_performance', 'academic_performance.pass_percentage', 'academic_performance.dropout_rate',
+  'contact_info', 'contact_info.phone', 'contact_info.email', 'contact_info.website',
+  'coordinates', 'coordinates.latitude', 'coordinates.longitude',
+];
+const selectableFields = [...listingFields, ...detailFields];
+
+// Fields a client may write. isActive follows school_status; audit fields,
+// timestamps and geo_location (derived from coordinates) are server-owned.
+const editableFields = [...listingFields.filter((field) => field !== 'isActive'), ...detailGroups];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Helper function to turn an update body into $set paths of editable fields.
+// Returns { paths }, or { error } naming unknown, read-only or operator keys.
+const buildSchoolUpdate = (body) => {
+  if (!isPlainObject(body)) {
+    return { error: 'Request body must be an object of school fields' };
+  }
+
+  const rejected = Object.keys(body).filter((field) => !editableFields.includes(field));
+  Object.entries(body).forEach(([field, value]) => {
+    if (!detailGroups.includes(field) || value === null) return;
+    if (!isPlainObject(value)) {
+      rejected.push(field);
+      return;
+    }
+    Object.keys(value).forEach((key) => {
+      if (!detailFields.includes(`${field}.${key}`)) rejected.push(`${field}.${key}`);
+    });
+  });
+
+  if (rejected.length > 0) {
+    return { error: `Unknown or read-only fields: ${rejected.join(', ')}` };
+  }
+  return { paths: toUpdatePaths(body) };
+};
+
+// Indexed fields the listing can be sorted by (see the School indexes)
+const sortableFields = ['udise_code', 'school_name', 'state', 'district', 'block', 'village', 'management', 'location', 'school_type', 'createdAt'];
+
+// Helper function to append the _id tie-breaker, so equal keys keep a stable
+// order between pages. It follows the direction of the last key, matching the
+// { field, _id } indexes. udise_code is unique and needs none.
+const withTieBreaker = (sort) => {
+  if ('udise_code' in sort) return sort;
+  const orders = Object.values(sort);
+  return { ...sort, _id: orders[orders.length - 1] };
+};
+
+// Helper function to build the sort from ?sort=school_name,-district (a leading
+// "-" sorts descending). The legacy ?sortBy=&sortOrder= form is also accepted.
+// Returns { sort }, or { error } naming unknown fields.
+const buildSort = (query, defaultSort = { createdAt: -1 }) => {
+  let keys = query.sort ? parseMultiValue(query.sort) : [];
+  if (keys.length === 0 && query.sortBy) {
+    keys = [`${query.sortOrder === 'desc' ? '-' : ''}${query.sortBy}`];
+  }
+  if (keys.length === 0) return { sort: withTieBreaker(defaultSort) };
+
+  const sort = {};
+  const invalid = [];
+  keys.forEach((key) => {
+    const field = key.replace(/^[-+]/, '');
+    if (!sortableFields.includes(field)) {
+      invalid.push(field);
+    } else if (!(field in sort)) {
+      sort[field] = key.startsWith('-') ? -1 : 1;
+    }
+  });
+
+  if (invalid.length > 0) {
+    return { error: `Invalid sort field: ${invalid.join(', ')}. Must be one of: ${sortableFields.join(', ')}` };
+  }
+
+  return { sort: withTieBreaker(sort) };
+};
+
+// Helper function to build the projection from ?fields=udise_code,school_name.
+// Returns { fields } (all listing fields by default), or { error } naming unknown fields.
+const buildProjection = (query) => {
+  if (!query.fields) return { fields: listingFields };
+
+  const fields = [...new Set(parseMultiValue(query.fields))];
+  const invalid = fields.filter((field) => !selectableFields.includes(field));
+  if (invalid.length > 0) {
+    return { error: `Invalid fields: ${invalid.join(', ')}. Must be one of: ${selectableFields.join(', ')}` };
+  }
+  if (fields.length === 0) return { fields: listingFields };
+
+  // A whole group (e.g. infrastructure) already covers its dotted fields
+  return { fields: fields.filter((field) => !fields.includes(field.split('.')[0]) || !field.includes('.')) };
+};
+
+// Helper function to escape user input used inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to escape text before adding highlight markup
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper function to wrap every occurrence of the search terms in <mark> tags.
+// The text is HTML-escaped first, so the result is safe to render as HTML.
+const highlightTerms = (text, terms) => {
+  if (!text || terms.length === 0) return text ? escapeHtml(text) : text;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// Helper function to load one full school record under the listing's scoping
+// rules: schools outside the jurisdiction, or soft-deleted schools for users
+// without restore_schools, are reported as not found.
+const findScopedSchool = async (filter, user) => {
+  const school = await School.findOne(filter)
+    .populate('created_by', 'email name')
+    .populate('updated_by', 'email name');
+
+  if (!school || !user.isWithinJurisdiction(school)) return null;
+  if (school.isActive === false && !user.hasPermission('restore_schools')) return null;
+
+  return school;
+};
+
+// Geo query limits. Radii are in metres.
+const NEARBY_DEFAULT_RADIUS = 5000;
+const NEARBY_MAX_RADIUS = 50000;
+
+// Helper function to read a number within [min, max] from a query param,
+// or null when it is missing or out of range
+const parseNumberParam = (value, min, max) => {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+};
+
+// Helper function to parse ?bbox=minLng,minLat,maxLng,maxLat (GeoJSON order) into
+// a $geoWithin polygon. Returns { geometry }, or { error }. Boxes must not
+// cross the antimeridian and must span less than 180° of longitude, which
+// MongoDB needs to tell the inside of a polygon from its outside.
+const parseBoundingBox = (value) => {
+  const parts = String(value || '').split(',').map((part) => part.trim());
+  const error = 'Invalid bbox. Use bbox=minLng,minLat,maxLng,maxLat with longitudes in [-180, 180] and latitudes in [-90, 90]';
+  if (parts.length !== 4) return { error };
+
+  const [minLng, minLat, maxLng, maxLat] = [
+    parseNumberParam(parts[0], -180, 180),
+    parseNumberParam(parts[1], -90, 90),
+    parseNumberParam(parts[2], -180, 180),
+    parseNumberParam(parts[3], -90, 90),
+  ];
+  if ([minLng, minLat, maxLng, maxLat].includes(null) || minLng >= maxLng || minLat >= maxLat) {
+    return { error };
+  }
+  if (maxLng - minLng >= 180) {
+    return { error: 'Invalid bbox. The box must span less than 180 degrees of longitude' };
+  }
+
+  return {
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]],
+    },
+  };
+};
+
+// Feature properties of the GeoJSON layer when ?fields= is not given
+const mapFields = ['udise_code', 'school_name', 'management', 'location', 'school_type'];
+const geoJsonModes = ['points', 'cluster'];
+
+// Fields that can be cross-tabulated against each other
+const crossTabDimensions = ['management', 'location', 'school_type', 'school_status', 'school_category', 'state', 'district', 'block'];
+
+// Fields the distribution can be grouped by with ?dimensions=
+const distributionDimensions = [...crossTabDimensions, 'cluster'];
+
+// Response keys the distribution used before ?dimensions= existed
+const legacyDistributionKeys = {
+  management: 'managementTypeDistribution',
+  location: 'locationDistribution',
+  school_type: 'schoolTypeDistribution',
+};
+
+// Orderings accepted by the rollup (a leading "-" sorts descending)
+const rollupSorts = ['-total', 'total', 'name', '-name'];
+
+// Helper function to sort rollup rows by total or name; ties fall back to name
+const sortRollupRows = (rows, sort) => {
+  const descending = sort.startsWith('-');
+  const key = sort.replace(/^-/, '');
+  const byName = (a, b) => String(a.name ?? '').localeCompare(String(b.name ?? ''));
+
+  return rows.sort((a, b) => {
+    const order = key === 'total' ? a.total - b.total : byName(a, b);
+    return (descending ? -order : order) || byName(a, b);
+  });
+};
+
+// Helper function to pick the data for ?academic_year=: the live schools, or
+// that year's snapshots. Returns { model, yearFilter }, or { error }.
+const resolveAcademicYear = (query) => {
+  if (!query.academic_year) return { model: School, yearFilter: {} };
+  if (!SchoolSnapshot.isAcademicYear(query.academic_year)) {
+    return { error: 'Invalid academic_year. Use the form 2023-24' };
+  }
+  return { model: SchoolSnapshot, yearFilter: { academic_year: query.academic_year } };
+};
+
+// Helper function to pick the collection for a live dashboard aggregate: the
+// school summaries when they are built and every filtered and grouped field
+// is summarised, otherwise the schools themselves.
+const aggregateSource = async (filters, fields) => (
+  canUseSummaries(filters, fields) && (await summariesReady()) ? SchoolSummary : School
+);
+
 // Helper function for pagination
 const buildPagination = (query) => {
   const page = parseInt(query.page) || 1;
@@ -40,24 +427,161 @@ const buildPagination = (query) => {
   return { page, limit, skip };
 };
 
+// Filtered "estimated" counts stop counting here
+const COUNT_ESTIMATE_CAP = 10000;
+const countModes = ['exact', 'estimated', 'none'];
+
+// Helper function to count listing results per ?count=exact|estimated|none.
+// "estimated" reads collection metadata when nothing narrows the listing,
+// otherwise counts up to COUNT_ESTIMATE_CAP documents.
+const countSchools = async (filters, mode, model = School) => {
+  if (mode === 'none') {
+    return { totalRecords: null, totalIsEstimate: false };
+  }
+
+  if (mode === 'estimated') {
+    const isUnfiltered = Object.keys(filters).length === 1 && filters.isActive && filters.isActive.$ne === false;
+    if (isUnfiltered) {
+      return { totalRecords: await model.estimatedDocumentCount(), totalIsEstimate: true };
+    }
+    const counted = await model.countDocuments(filters, { limit: COUNT_ESTIMATE_CAP });
+    return { totalRecords: counted, totalIsEstimate: counted >= COUNT_ESTIMATE_CAP };
+  }
+
+  return { totalRecords: await model.countDocuments(filters), totalIsEstimate: false };
+};
+
+// Helper function for the keyset (cursor) mode of the listing: fetch one page
+// after/before the cursor and build the neighbouring cursors
+const findCursorPage = async ({ model = School, filters, sort, fields, limit, cursor }) => {
+  let direction = 'next';
+  let query = filters;
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor, sort);
+    if (!decoded) return { error: 'Invalid cursor, or cursor does not match the current sort' };
+    direction = decoded.direction;
+    query = { $and: [filters, buildKeysetFilter(sort, decoded.values, direction)] };
+  }
+
+  // Sort keys are needed to build cursors even when not requested in ?fields
+  const sortFields = Object.keys(sort).filter((field) => field !== '_id');
+  const selectFields = [...new Set([...fields, ...sortFields])];
+
+  const docs = await model.find(query)
+    .select(selectFields.join(' '))
+    .sort(direction === 'prev' ? reverseSort(sort) : sort)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = docs.length > limit;
+  const schools = docs.slice(0, limit);
+  if (direction === 'prev') schools.reverse();
+
+  // Walking back from a later page means there is a next page, and vice versa
+  const hasNextPage = direction === 'next' ? hasMore : !!cursor;
+  const hasPrevPage = direction === 'prev' ? hasMore : !!cursor;
+  const first = schools[0];
+  const last = schools[schools.length - 1];
+
+  const nextCursor = hasNextPage && last ? encodeCursor(last, sort, 'next') : null;
+  const prevCursor = hasPrevPage && first ? encodeCursor(first, sort, 'prev') : null;
+
+  schools.forEach((school) => {
+    sortFields.forEach((field) => {
+      if (!fields.includes(field)) delete school[field];
+    });
+  });
+
+  return { schools, nextCursor, prevCursor, hasNextPage, hasPrevPage };
+};
+
 // @route   GET /api/data
-// @desc    Get School Records (with Hierarchical Filters)
+// @desc    Get School Records (Hierarchical and Attribute Filters, sort, fields, page or cursor pagination;
+//          includeInactive/onlyInactive need restore_schools; academic_year lists that year's snapshots)
 // @access  Private (JWT required)
 router.get('/', auth, async (req, res) => {
   try {
-    const filters = buildHierarchicalFilters(req.query);
+    const { filters: listingFilters, status, error } = buildListingFilters(req.query, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+    const { model, yearFilter, error: yearError } = resolveAcademicYear(req.query);
+    if (yearError) {
+      return res.status(400).json({
+        success: false,
+        error: yearError,
+      });
+    }
+    const filters = { ...yearFilter, ...listingFilters };
+    const sorting = buildSort(req.query);
+    const projection = buildProjection(req.query);
+    if (sorting.error || projection.error) {
+      return res.status(400).json({
+        success: false,
+        error: sorting.error || projection.error,
+      });
+    }
+    const cursorMode = req.query.paginate === 'cursor' || !!req.query.cursor;
+    const countMode = req.query.count || (cursorMode ? 'none' : 'exact');
+    if (!countModes.includes(countMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid count value. Must be one of: ${countModes.join(', ')}`,
+      });
+    }
     const { page, limit, skip } = buildPagination(req.query);
 
-    const [total, schools] = await Promise.all([
-      School.countDocuments(filters),
-      School.find(filters)
-        .select('udise_code school_name state district block village cluster management location school_type school_category school_status isActive')
-        .sort({ createdAt: -1 })
+    if (cursorMode) {
+      const [counted, result] = await Promise.all([
+        countSchools(filters, countMode, model),
+        findCursorPage({
+          model,
+          filters,
+          sort: sorting.sort,
+          fields: projection.fields,
+          limit,
+          cursor: req.query.cursor,
+        }),
+      ]);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: result.schools,
+        pagination: {
+          mode: 'cursor',
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: result.hasPrevPage,
+          totalRecords: counted.totalRecords,
+          totalIsEstimate: counted.totalIsEstimate,
+          limit,
+        },
+      });
+    }
+
+    const [counted, schools] = await Promise.all([
+      countSchools(filters, countMode, model),
+      model.find(filters)
+        .select(projection.fields.join(' '))
+        .sort(sorting.sort)
         .skip(skip)
         .limit(limit),
     ]);
 
-    const totalPages = Math.ceil(total / limit);
+    const total = counted.totalRecords;
+    const totalPages = total === null ? null : Math.ceil(total / limit);
 
     res.json({
       success: true,
@@ -66,7 +590,8 @@ router.get('/', auth, async (req, res) => {
         currentPage: page,
         totalPages,
         totalRecords: total,
-        hasNextPage: page < totalPages,
+        totalIsEstimate: counted.totalIsEstimate,
+        hasNextPage: totalPages === null ? schools.length === limit : page < totalPages,
         hasPrevPage: page > 1,
         limit,
       },
@@ -80,10 +605,377 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/data/export
+// @desc    Stream every School Record matching the listing filters as csv, xlsx or jsonl (honours sort and fields)
+// @access  Private (JWT required)
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!exportFormats[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Must be one of: ${Object.keys(exportFormats).join(', ')}`,
+      });
+    }
+
+    const { filters, status, error } = buildListingFilters(req.query, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const sorting = buildSort(req.query, { state: 1, district: 1, block: 1, village: 1 });
+    const projection = buildProjection(req.query);
+    if (sorting.error || projection.error) {
+      return res.status(400).json({
+        success: false,
+        error: sorting.error || projection.error,
+      });
+    }
+
+    const cursor = School.find(filters)
+      .select(projection.fields.join(' '))
+      .sort(sorting.sort)
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    await streamSchoolExport({
+      cursor,
+      res,
+      format,
+      columns: projection.fields,
+      fileName: `schools-${new Date().toISOString().slice(0, 10)}`,
+    });
+  } catch (error) {
+    console.error('Export schools error:', error);
+    // Once streaming has started the status line is gone; just drop the connection
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while exporting schools',
+    });
+  }
+});
+
+// @route   GET /api/data/search
+// @desc    Search Schools by name (full-text, ranked by relevance) or by UDISE code prefix
+// @access  Private (JWT required)
+router.get('/search', auth, async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (q.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query "q" must be at least 2 characters',
+      });
+    }
+
+    const filters = buildHierarchicalFilters(req.query, req.user);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const skip = (page - 1) * limit;
+
+    // All-digit queries are UDISE codes typed so far: anchored prefix match on the index
+    const isCodeQuery = /^\d+$/.test(q);
+    let schools;
+    let terms;
+
+    if (isCodeQuery) {
+      terms = [q];
+      schools = await School.find({ ...filters, udise_code: { $regex: `^${q}` } })
+        .select(listingFields.join(' '))
+        .sort({ udise_code: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+    } else {
+      // Highlight the plain words of the query, ignoring negations and quotes
+      terms = q.split(/\s+/)
+        .filter((word) => !word.startsWith('-'))
+        .map((word) => word.replace(/"/g, ''))
+        .filter(Boolean);
+      schools = await School.find(
+        { ...filters, $text: { $search: q } },
+        { score: { $meta: 'textScore' } },
+      )
+        .select(listingFields.join(' '))
+        .sort({ score: { $meta: 'textScore' } })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+    }
+
+    res.json({
+      success: true,
+      query: q,
+      mode: isCodeQuery ? 'udise_prefix' : 'text',
+      data: schools.map((school) => ({
+        ...school,
+        highlights: {
+          school_name: highlightTerms(school.school_name, terms),
+          udise_code: isCodeQuery
+            ? `<mark>${escapeHtml(q)}</mark>${escapeHtml(school.udise_code.slice(q.length))}`
+            : highlightTerms(school.udise_code, terms),
+        },
+      })),
+      pagination: {
+        currentPage: page,
+        limit,
+        hasNextPage: schools.length === limit,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Search schools error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while searching schools',
+    });
+  }
+});
+
+// @route   GET /api/data/nearby
+// @desc    Schools within ?radius= metres of ?lat=&lng=, nearest first (Hierarchical and Attribute Filters, fields)
+// @access  Private (JWT required)
+router.get('/nearby', auth, async (req, res) => {
+  try {
+    const latitude = parseNumberParam(req.query.lat, -90, 90);
+    const longitude = parseNumberParam(req.query.lng, -180, 180);
+    if (latitude === null || longitude === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid "lat" (-90 to 90) and "lng" (-180 to 180) are required',
+      });
+    }
+    const radius = req.query.radius === undefined
+      ? NEARBY_DEFAULT_RADIUS
+      : parseNumberParam(req.query.radius, 1, NEARBY_MAX_RADIUS);
+    if (radius === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid radius. Must be between 1 and ${NEARBY_MAX_RADIUS} metres`,
+      });
+    }
+
+    const { filters, status, error } = buildListingFilters(req.query, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+    const projection = buildProjection(req.query);
+    if (projection.error) {
+      return res.status(400).json({
+        success: false,
+        error: projection.error,
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const schools = await School.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          distanceField: 'distance',
+          maxDistance: radius,
+          query: filters,
+          spherical: true,
+        },
+      },
+      { $limit: limit },
+      {
+        $project: {
+          ...Object.fromEntries(projection.fields.map((field) => [field, 1])),
+          coordinates: 1,
+          distance: { $round: ['$distance', 0] },
+        },
+      },
+    ]);
+
+    res.json({
+      success: true,
+      center: { latitude, longitude },
+      radius,
+      data: schools,
+      count: schools.length,
+      limit,
+    });
+  } catch (error) {
+    console.error('Nearby schools error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching nearby schools',
+    });
+  }
+});
+
+// @route   GET /api/data/within
+// @desc    Schools inside ?bbox=minLng,minLat,maxLng,maxLat, e.g. the visible map area (Hierarchical and Attribute Filters, fields)
+// @access  Private (JWT required)
+router.get('/within', auth, async (req, res) => {
+  try {
+    const { geometry, error: bboxError } = parseBoundingBox(req.query.bbox);
+    if (bboxError) {
+      return res.status(400).json({
+        success: false,
+        error: bboxError,
+      });
+    }
+
+    const { filters, status, error } = buildListingFilters(req.query, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+    const projection = buildProjection(req.query);
+    if (projection.error) {
+      return res.status(400).json({
+        success: false,
+        error: projection.error,
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 2000);
+
+    // One extra document tells whether the area holds more than the limit
+    const docs = await School.find({ ...filters, geo_location: { $geoWithin: { $geometry: geometry } } })
+      .select([...new Set([...projection.fields, 'coordinates'])].join(' '))
+      .limit(limit + 1)
+      .lean();
+
+    const truncated = docs.length > limit;
+    const schools = docs.slice(0, limit);
+
+    res.json({
+      success: true,
+      bbox: geometry.coordinates[0][0].concat(geometry.coordinates[0][2]),
+      data: schools,
+      count: schools.length,
+      truncated,
+      limit,
+    });
+  } catch (error) {
+    console.error('Schools within bbox error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching schools in area',
+    });
+  }
+});
+
+// @route   GET /api/data/geojson
+// @desc    Filtered schools as a GeoJSON FeatureCollection (Hierarchical and Attribute Filters, fields, bbox),
+//          or grid clusters for a map zoom level with ?mode=cluster&zoom=
+// @access  Private (JWT required)
+router.get('/geojson', auth, async (req, res) => {
+  try {
+    const { filters, status, error } = buildListingFilters(req.query, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+    const projection = req.query.fields ? buildProjection(req.query) : { fields: mapFields };
+    if (projection.error) {
+      return res.status(400).json({
+        success: false,
+        error: projection.error,
+      });
+    }
+
+    // Only schools with a map point, optionally inside the visible area
+    filters.geo_location = { $ne: null };
+    if (req.query.bbox) {
+      const { geometry, error: bboxError } = parseBoundingBox(req.query.bbox);
+      if (bboxError) {
+        return res.status(400).json({
+          success: false,
+          error: bboxError,
+        });
+      }
+      filters.geo_location = { $geoWithin: { $geometry: geometry } };
+    }
+
+    // ?cluster= is the school cluster filter, hence ?mode=cluster
+    const mode = req.query.mode || 'points';
+    if (!geoJsonModes.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid mode. Must be one of: ${geoJsonModes.join(', ')}`,
+      });
+    }
+
+    if (mode === 'cluster') {
+      const zoom = parseNumberParam(req.query.zoom, MIN_ZOOM, MAX_ZOOM);
+      if (zoom === null || !Number.isInteger(zoom)) {
+        return res.status(400).json({
+          success: false,
+          error: `Clustering needs a whole "zoom" between ${MIN_ZOOM} and ${MAX_ZOOM}`,
+        });
+      }
+
+      // At high zoom most cells hold a single school, so cells are capped like points
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 5000, 1), 20000);
+      const cellSize = clusterCellSize(zoom);
+      const cells = await School.aggregate(buildClusterPipeline(filters, projection.fields, cellSize, limit))
+        .allowDiskUse(true);
+
+      const truncated = cells.length > limit;
+      const features = cells.slice(0, limit);
+
+      return res.type('application/geo+json').json({
+        type: 'FeatureCollection',
+        features: features.map((cell) => toClusterFeature(cell, projection.fields)),
+        metadata: {
+          clustered: true,
+          zoom,
+          cellSize,
+          truncated,
+          limit,
+          totalSchools: features.reduce((sum, cell) => sum + cell.count, 0),
+        },
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5000, 1), 20000);
+
+    // One extra document tells whether more schools match than were returned
+    const docs = await School.find(filters)
+      .select([...projection.fields, 'geo_location'].join(' '))
+      .limit(limit + 1)
+      .lean();
+
+    const truncated = docs.length > limit;
+
+    res.type('application/geo+json').json({
+      type: 'FeatureCollection',
+      features: docs.slice(0, limit).map((school) => toSchoolFeature(school, projection.fields)),
+      metadata: {
+        clustered: false,
+        truncated,
+        limit,
+      },
+    });
+  } catch (error) {
+    console.error('GeoJSON schools error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while building GeoJSON',
+    });
+  }
+});
+
 // @route   POST /api/data
 // @desc    Add New School Record
-// @access  Private (JWT required)
-router.post('/', auth, async (req, res) => {
+// @access  Private (create_schools permission)
+router.post('/', auth, requirePermission('create_schools'), async (req, res) => {
   try {
     const {
       udise_code,
@@ -98,6 +990,13 @@ router.post('/', auth, async (req, res) => {
       school_type,
       school_category,
       school_status,
+      establishment_year,
+      total_students,
+      total_teachers,
+      infrastructure,
+      academic_performance,
+      contact_info,
+      coordinates,
     } = req.body;
 
     // Validate mandatory fields
@@ -134,6 +1033,14 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    // Reject schools outside the user's jurisdiction
+    if (!req.user.isWithinJurisdiction({ state, district, block })) {
+      return res.status(403).json({
+        success: false,
+        error: 'School location is outside your jurisdiction',
+      });
+    }
+
     // Check for duplicate UDISE code
     const existingSchool = await School.findOne({ udise_code });
     if (existingSchool) {
@@ -158,11 +1065,21 @@ router.post('/', auth, async (req, res) => {
       school_category,
       school_status: school_status || 'Operational',
       isActive: school_status !== 'Permanently Closed',
+      establishment_year,
+      total_students,
+      total_teachers,
+      infrastructure,
+      academic_performance,
+      contact_info,
+      coordinates,
       created_by: req.user._id,
       updated_by: req.user._id,
     });
 
     await school.save();
+    await updateSchoolSummaries([{ after: school }]);
+    invalidateCache();
+    await recordSchoolChange({ action: 'create', school, after: school, user: req.user });
 
     res.status(201).json({
       success: true,
@@ -191,10 +1108,63 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/data/import
+// @desc    Bulk Upload School Records from a UDISE-format CSV/XLSX file (upsert by udise_code;
+//          an academic_year field imports the file as that year's snapshots)
+// @access  Private (create_schools and edit_schools permissions)
+router.post('/import', auth, requirePermission('create_schools', 'edit_schools'), uploadSchoolFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded. Send the file in a multipart "file" field',
+      });
+    }
+
+    const academicYear = req.body.academic_year || undefined;
+    if (academicYear && !SchoolSnapshot.isAcademicYear(academicYear)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid academic_year. Use the form 2023-24',
+      });
+    }
+
+    let rows;
+    try {
+      rows = await parseSchoolFile(req.file);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read the uploaded file: ${parseError.message}`,
+      });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The uploaded file contains no data rows',
+      });
+    }
+
+    const report = await importSchoolRows(rows, { user: req.user, academicYear });
+
+    res.json({
+      success: true,
+      message: `Import finished: ${report.inserted} inserted, ${report.updated} updated, ${report.rejected} rejected`,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Import schools error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while importing schools',
+    });
+  }
+});
+
 // @route   PUT /api/data/:id
 // @desc    Update School Record
-// @access  Private (JWT required)
-router.put('/:id', auth, async (req, res) => {
+// @access  Private (edit_schools permission)
+router.put('/:id', auth, requirePermission('edit_schools'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -206,6 +1176,14 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
+    const { paths, error: fieldError } = buildSchoolUpdate(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+      });
+    }
+
     // Validate enum fields
     const { management, location, school_type, school_status } = req.body;
     if (management && !validManagement.includes(management)) {
@@ -229,21 +1207,246 @@ router.put('/:id', auth, async (req, res) => {
     if (school_status && !validSchoolStatus.includes(school_status)) {
       return res.status(400).json({
         success: false,
-        error: `Invalid school_status value. Must be one of: ${validSchoolStatus.join(', ')}`,
+        error: `Invalid school_status value. Must be one of: ${validSchoolStatus.join(', ')}`,
+      });
+    }
+
+    const existingSchool = await School.findById(id);
+    if (!existingSchool) {
+      return res.status(404).json({
+        success: false,
+        error: 'School record not found',
+      });
+    }
+
+    // Both the current and the written location must stay inside the user's jurisdiction
+    const targetLocation = {
+      state: 'state' in paths ? paths.state : existingSchool.state,
+      district: 'district' in paths ? paths.district : existingSchool.district,
+      block: 'block' in paths ? paths.block : existingSchool.block,
+    };
+    if (!req.user.isWithinJurisdiction(existingSchool) || !req.user.isWithinJurisdiction(targetLocation)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School location is outside your jurisdiction',
+      });
+    }
+
+    // Update fields. Nested details are set field by field, so sending
+    // { infrastructure: { has_library: true } } keeps the other flags.
+    const updateData = {
+      ...paths,
+      updated_by: req.user._id,
+      isActive: school_status ? school_status !== 'Permanently Closed' : undefined,
+    };
+
+    // Recompute the map point when either coordinate changes
+    if ('coordinates' in updateData) {
+      updateData.geo_location = School.toGeoPoint(updateData.coordinates);
+    } else if ('coordinates.latitude' in updateData || 'coordinates.longitude' in updateData) {
+      const stored = existingSchool.coordinates || {};
+      updateData.geo_location = School.toGeoPoint({
+        latitude: 'coordinates.latitude' in updateData ? updateData['coordinates.latitude'] : stored.latitude,
+        longitude: 'coordinates.longitude' in updateData ? updateData['coordinates.longitude'] : stored.longitude,
+      });
+    }
+
+    const school = await School.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School record not found',
+      });
+    }
+
+    await updateSchoolSummaries([{ before: existingSchool, after: school }]);
+    invalidateCache();
+    await recordSchoolChange({ action: 'update', school, before: existingSchool, after: school, user: req.user });
+
+    res.json({
+      success: true,
+      message: 'School record updated successfully',
+      data: school,
+    });
+  } catch (error) {
+    console.error('Update school error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'School with this UDISE code already exists',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while updating school',
+    });
+  }
+});
+
+// @route   DELETE /api/data/:id
+// @desc    Delete School Record (Soft Delete)
+// @access  Private (delete_schools permission)
+router.delete('/:id', auth, requirePermission('delete_schools'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid school ID',
+      });
+    }
+
+    const existingSchool = await School.findById(id);
+    if (!existingSchool) {
+      return res.status(404).json({
+        success: false,
+        error: 'School record not found',
+      });
+    }
+    if (!req.user.isWithinJurisdiction(existingSchool)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School location is outside your jurisdiction',
+      });
+    }
+    if (existingSchool.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'School record is already deleted',
+      });
+    }
+
+    const school = await School.findByIdAndUpdate(
+      id,
+      {
+        isActive: false,
+        school_status: 'Permanently Closed',
+        updated_by: req.user._id,
+      },
+      { new: true },
+    );
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School record not found',
+      });
+    }
+
+    await updateSchoolSummaries([{ before: existingSchool, after: school }]);
+    invalidateCache();
+    await recordSchoolChange({ action: 'delete', school, before: existingSchool, after: school, user: req.user });
+
+    res.json({
+      success: true,
+      message: 'School record deleted successfully',
+      data: school,
+    });
+  } catch (error) {
+    console.error('Delete school error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while deleting school',
+    });
+  }
+});
+
+// @route   POST /api/data/:id/restore
+// @desc    Restore a Soft-Deleted School Record to its status before deletion
+// @access  Private (restore_schools permission)
+router.post('/:id/restore', auth, requirePermission('restore_schools'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid school ID',
+      });
+    }
+
+    const existingSchool = await School.findById(id);
+    if (!existingSchool) {
+      return res.status(404).json({
+        success: false,
+        error: 'School record not found',
+      });
+    }
+    if (!req.user.isWithinJurisdiction(existingSchool)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School location is outside your jurisdiction',
+      });
+    }
+    if (existingSchool.isActive !== false) {
+      return res.status(400).json({
+        success: false,
+        error: 'School record is not deleted',
       });
     }
 
-    // Update fields
-    const updateData = {
-      ...req.body,
-      updated_by: req.user._id,
-      isActive: school_status ? school_status !== 'Permanently Closed' : undefined,
-    };
+    // The status before deletion comes from the latest delete entry in the audit
+    // trail that changed it (deletes of already-closed schools change nothing)
+    const lastDelete = await SchoolAudit.findOne({
+      school: existingSchool._id,
+      action: 'delete',
+      'changes.field': 'school_status',
+    })
+      .sort({ createdAt: -1 });
+    const statusChange = lastDelete && lastDelete.changes.find((change) => change.field === 'school_status');
+    const previousStatus = statusChange && validSchoolStatus.includes(statusChange.before)
+      && statusChange.before !== 'Permanently Closed'
+      ? statusChange.before
+      : 'Operational';
 
-    const school = await School.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
+    const school = await School.findByIdAndUpdate(
+      id,
+      {
+        isActive: true,
+        school_status: previousStatus,
+        updated_by: req.user._id,
+      },
+      { new: true },
+    );
+
+    await updateSchoolSummaries([{ before: existingSchool, after: school }]);
+    invalidateCache();
+    await recordSchoolChange({ action: 'restore', school, before: existingSchool, after: school, user: req.user });
+
+    res.json({
+      success: true,
+      message: 'School record restored successfully',
+      data: school,
+    });
+  } catch (error) {
+    console.error('Restore school error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while restoring school',
     });
+  }
+});
+
+// @route   GET /api/data/udise/:code
+// @desc    Get a Single School Record by UDISE code
+// @access  Private (JWT required)
+router.get('/udise/:code', auth, async (req, res) => {
+  try {
+    const school = await findScopedSchool({ udise_code: req.params.code.trim() }, req.user);
 
     if (!school) {
       return res.status(404).json({
@@ -254,35 +1457,21 @@ router.put('/:id', auth, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'School record updated successfully',
       data: school,
     });
   } catch (error) {
-    console.error('Update school error:', error);
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        error: 'School with this UDISE code already exists',
-      });
-    }
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({
-        success: false,
-        error: 'Validation error',
-        details: Object.values(error.errors).map((err) => err.message),
-      });
-    }
+    console.error('Get school by UDISE code error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error while updating school',
+      error: 'Internal server error while fetching school',
     });
   }
 });
 
-// @route   DELETE /api/data/:id
-// @desc    Delete School Record (Soft Delete)
+// @route   GET /api/data/:id/history
+// @desc    Change History (audit trail) of a School Record, newest first
 // @access  Private (JWT required)
-router.delete('/:id', auth, async (req, res) => {
+router.get('/:id/history', auth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -294,41 +1483,60 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    const school = await School.findByIdAndUpdate(
-      id,
-      {
-        isActive: false,
-        school_status: 'Permanently Closed',
-        updated_by: req.user._id,
-      },
-      { new: true },
-    );
-
+    const school = await School.findById(id).select('udise_code state district block');
     if (!school) {
       return res.status(404).json({
         success: false,
         error: 'School record not found',
       });
     }
+    if (!req.user.isWithinJurisdiction(school)) {
+      return res.status(403).json({
+        success: false,
+        error: 'School location is outside your jurisdiction',
+      });
+    }
+
+    const filters = { school: school._id };
+    if (req.query.action) filters.action = req.query.action;
+    const { page, limit, skip } = buildPagination(req.query);
+
+    const [total, entries] = await Promise.all([
+      SchoolAudit.countDocuments(filters),
+      SchoolAudit.find(filters)
+        .populate('changed_by', 'email name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
-      message: 'School record deleted successfully',
-      data: school,
+      data: entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRecords: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit,
+      },
     });
   } catch (error) {
-    console.error('Delete school error:', error);
+    console.error('School history error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error while deleting school',
+      error: 'Internal server error while fetching school history',
     });
   }
 });
 
 // @route   PATCH /api/data/fix-activity
 // @desc    Bulk update all school records' isActive based on status
-// @access  Public (no auth)
-router.patch("/fix-activity", async (req, res) => {
+// @access  Private (admin only)
+router.patch("/fix-activity", auth, requireRole('admin'), async (req, res) => {
   try {
     // Set isActive = false where permanently closed
     const closedResult = await School.updateMany(
@@ -341,6 +1549,11 @@ router.patch("/fix-activity", async (req, res) => {
       { school_status: { $ne: "Permanently Closed" } },
       { $set: { isActive: true } }
     );
+    // Bulk changes are cheaper to recount than to track per school
+    if (await summariesBuilt()) {
+      await rebuildSchoolSummaries();
+    }
+    invalidateCache();
 
     res.json({
       success: true,
@@ -359,20 +1572,60 @@ router.patch("/fix-activity", async (req, res) => {
 
 
 // @route   GET /api/data/distribution
-// @desc    Dynamic Distribution Data for Charts
+// @desc    Dynamic Distribution Data for Charts (hierarchical and attribute filters, ?dimensions=, ?academic_year=)
 // @access  Private (JWT required)
 router.get('/distribution', auth, async (req, res) => {
   try {
-    const filters = buildHierarchicalFilters(req.query);
-    const distribution = await School.getDistribution(filters);
+    const attributes = buildAttributeFilters(req.query);
+    if (attributes.error) {
+      return res.status(400).json({
+        success: false,
+        error: attributes.error,
+      });
+    }
+
+    // Without ?dimensions= the model charts management, location and school_type
+    const requested = [...new Set(parseMultiValue(req.query.dimensions || []))];
+    const dimensions = requested.length > 0 ? requested : undefined;
+    const invalid = requested.filter((dimension) => !distributionDimensions.includes(dimension));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid dimensions: ${invalid.join(', ')}. Must be one or more of: ${distributionDimensions.join(', ')}`,
+      });
+    }
+
+    const { model, yearFilter, error: yearError } = resolveAcademicYear(req.query);
+    if (yearError) {
+      return res.status(400).json({
+        success: false,
+        error: yearError,
+      });
+    }
+
+    const filters = { ...yearFilter, ...buildHierarchicalFilters(req.query, req.user), ...attributes.filters };
+    const { distributions, totalSchools } = await cached(
+      'distribution',
+      { collection: model.collection.name, filters, dimensions: dimensions || null },
+      async () => {
+        // The default dimensions are all summarised; snapshots are never summarised
+        const source = model === School ? await aggregateSource(filters, dimensions || []) : model;
+        return source.getDistribution(filters, dimensions);
+      },
+    );
+
+    // The original chart keys are kept alongside `distributions` for existing clients
+    const legacyKeys = {};
+    Object.entries(legacyDistributionKeys).forEach(([dimension, key]) => {
+      if (distributions[dimension]) legacyKeys[key] = distributions[dimension];
+    });
 
     res.json({
       // success: true,
       // data: {
-        managementTypeDistribution: distribution.managementTypeDistribution,
-        locationDistribution: distribution.locationDistribution,
-        schoolTypeDistribution: distribution.schoolTypeDistribution,
-        totalSchools: distribution.totalSchools || 0,
+        ...legacyKeys,
+        distributions,
+        totalSchools,
       // },
     });
   } catch (error) {
@@ -384,6 +1637,220 @@ router.get('/distribution', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/data/rollup
+// @desc    Drill-down statistics: one row per child area of the current filter (districts of a state,
+//          blocks of a district, ...) with management/location/type splits (Hierarchical and Attribute Filters)
+// @access  Private (JWT required)
+router.get('/rollup', auth, async (req, res) => {
+  try {
+    const { filters, status, error } = buildListingFilters(req.query, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+    const sort = req.query.sort || '-total';
+    if (!rollupSorts.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort value. Must be one of: ${rollupSorts.join(', ')}`,
+      });
+    }
+
+    // The filters hold a prefix of the hierarchy; roll up by the next level
+    const depth = hierarchyLevels.filter((level) => filters[level]).length;
+    if (depth === hierarchyLevels.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Village is the lowest hierarchy level. Remove the village filter to roll up by village',
+      });
+    }
+    const level = hierarchyLevels[depth];
+    const parent = Object.fromEntries(hierarchyLevels.slice(0, depth).map((name) => [name, filters[name]]));
+
+    const source = await aggregateSource(filters, [level]);
+    const { rows, totals } = await source.getRollup(filters, level);
+
+    res.json({
+      success: true,
+      data: {
+        level,
+        parent,
+        totals,
+        rows: sortRollupRows(rows, sort),
+      },
+    });
+  } catch (error) {
+    console.error('Rollup data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching rollup data',
+    });
+  }
+});
+
+// @route   GET /api/data/crosstab
+// @desc    Two-dimensional breakdown, e.g. ?rows=management&cols=location, with totals and percentages
+//          (Hierarchical and Attribute Filters)
+// @access  Private (JWT required)
+router.get('/crosstab', auth, async (req, res) => {
+  try {
+    const { rows, cols } = req.query;
+    if (!crossTabDimensions.includes(rows) || !crossTabDimensions.includes(cols)) {
+      return res.status(400).json({
+        success: false,
+        error: `"rows" and "cols" must each be one of: ${crossTabDimensions.join(', ')}`,
+      });
+    }
+    if (rows === cols) {
+      return res.status(400).json({
+        success: false,
+        error: '"rows" and "cols" must be different dimensions',
+      });
+    }
+
+    const { filters, status, error } = buildListingFilters(req.query, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const crossTab = await School.getCrossTab(filters, rows, cols);
+    if (crossTab.error) {
+      return res.status(400).json({
+        success: false,
+        error: crossTab.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rowDimension: rows,
+        columnDimension: cols,
+        ...crossTab,
+      },
+    });
+  } catch (error) {
+    console.error('Cross-tab data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching cross-tab data',
+    });
+  }
+});
+
+// @route   GET /api/data/trends
+// @desc    Year-over-year trends from the academic-year snapshots: counts, enrollment, schools opened and
+//          closed, and management changes (Hierarchical Filters)
+// @access  Private (JWT required)
+router.get('/trends', auth, async (req, res) => {
+  try {
+    // Closed schools must stay visible to be counted, so isActive is not filtered
+    const { isActive, ...filters } = buildHierarchicalFilters(req.query, req.user);
+    const scope = Object.fromEntries(hierarchyLevels.filter((level) => filters[level]).map((level) => [level, filters[level]]));
+
+    const years = await SchoolSnapshot.getTrends(filters);
+
+    res.json({
+      success: true,
+      data: {
+        scope,
+        years,
+      },
+    });
+  } catch (error) {
+    console.error('Trends data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching trends',
+    });
+  }
+});
+
+// @route   GET /api/data/snapshots
+// @desc    Academic years with snapshots loaded, and their school counts (Hierarchical Filters)
+// @access  Private (JWT required)
+router.get('/snapshots', auth, async (req, res) => {
+  try {
+    const { isActive, ...filters } = buildHierarchicalFilters(req.query, req.user);
+
+    const years = await SchoolSnapshot.aggregate([
+      { $match: filters },
+      { $group: { _id: '$academic_year', schools: { $sum: 1 } } },
+      { $project: { academic_year: '$_id', schools: 1, _id: 0 } },
+      { $sort: { academic_year: 1 } },
+    ]);
+
+    res.json({
+      success: true,
+      data: years,
+    });
+  } catch (error) {
+    console.error('List snapshots error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching snapshots',
+    });
+  }
+});
+
+// @route   POST /api/data/snapshots
+// @desc    Save the current school records as the snapshot of an academic year (replaces that year's rows)
+// @access  Private (admin only)
+router.post('/snapshots', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { academic_year } = req.body;
+    if (!SchoolSnapshot.isAcademicYear(academic_year)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid academic_year. Use the form 2023-24',
+      });
+    }
+
+    const snapshotFields = Object.keys(SchoolSnapshot.schema.paths)
+      .filter((field) => !['_id', '__v', 'academic_year', 'createdAt', 'updatedAt'].includes(field));
+
+    await School.aggregate([
+      {
+        $project: {
+          _id: 0,
+          ...Object.fromEntries(snapshotFields.map((field) => [field, 1])),
+          academic_year,
+          createdAt: '$$NOW',
+          updatedAt: '$$NOW',
+        },
+      },
+      {
+        $merge: {
+          into: SchoolSnapshot.collection.name,
+          on: ['academic_year', 'udise_code'],
+          whenMatched: 'replace',
+          whenNotMatched: 'insert',
+        },
+      },
+    ]).allowDiskUse(true);
+
+    invalidateCache();
+    const schools = await SchoolSnapshot.countDocuments({ academic_year });
+
+    res.status(201).json({
+      success: true,
+      message: `Snapshot for ${academic_year} saved`,
+      data: { academic_year, schools },
+    });
+  } catch (error) {
+    console.error('Create snapshot error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while creating snapshot',
+    });
+  }
+});
+
 // // @route   GET /api/data/filters
 // // @desc    Get Filter Options for Hierarchical Dropdowns
 // // @access  Private (JWT required)
@@ -423,26 +1890,39 @@ router.get('/distribution', auth, async (req, res) => {
 
 // @route   GET /api/data/filters
 // @desc    Get Filter Options for Hierarchical Dropdowns
-// @access  Public
-router.get('/filters', async (req, res) => {
+// @access  Public (options are limited to the jurisdiction when a token is supplied)
+router.get('/filters', optionalAuth, async (req, res) => {
   try {
-    const { state, district, block } = req.query;
+    const { state, district, block } = applyJurisdiction(req.query, req.user);
+    const jurisdiction = (req.user && req.user.jurisdiction) || {};
+    const scope = {
+      state: state || null,
+      district: district || null,
+      block: block || null,
+      jurisdiction: hierarchyLevels.map((level) => jurisdiction[level] || null),
+    };
 
-    const [states, districts, blocks, villages] = await Promise.all([
-      School.distinct('state'),
-      state ? School.distinct('district', { state, isActive: { $ne: false } }) : [],
-      state && district ? School.distinct('block', { state, district, isActive: { $ne: false } }) : [],
-      state && district && block ? School.distinct('village', { state, district, block, isActive: { $ne: false } }) : [],
-    ]);
+    const data = await cached('filters', scope, async () => {
+      const [states, districts, blocks, villages] = await Promise.all([
+        jurisdiction.state ? [jurisdiction.state] : School.distinct('state'),
+        jurisdiction.district ? [jurisdiction.district]
+          : state ? School.distinct('district', { state, isActive: { $ne: false } }) : [],
+        jurisdiction.block ? [jurisdiction.block]
+          : state && district ? School.distinct('block', { state, district, isActive: { $ne: false } }) : [],
+        state && district && block ? School.distinct('village', { state, district, block, isActive: { $ne: false } }) : [],
+      ]);
 
-    res.json({
-      success: true,
-      data: {
+      return {
         states: states.sort(),
         districts: districts.sort(),
         blocks: blocks.sort(),
         villages: villages.sort(),
-      },
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
     });
   } catch (error) {
     console.error('Filter options error:', error);
@@ -454,4 +1934,42 @@ router.get('/filters', async (req, res) => {
 });
 
 
+// @route   GET /api/data/:id
+// @desc    Get a Single School Record by ID
+// @access  Private (JWT required)
+// Registered last so it does not shadow /distribution, /filters and friends
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid school ID',
+      });
+    }
+
+    const school = await findScopedSchool({ _id: id }, req.user);
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'School record not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: school,
+    });
+  } catch (error) {
+    console.error('Get school error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching school',
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,251 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const ImportJob = require('../models/ImportJob');
+const SchoolSnapshot = require('../models/SchoolSnapshot');
+const { auth, requirePermission } = require('../middleware/auth');
+const { supportedExtensions } = require('../utils/schoolImport');
+const { runPendingJobs } = require('../utils/importWorker');
+
+const router = express.Router();
+
+// Large imports are streamed from disk by the worker rather than held in memory
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024; // 500 MB
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'));
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const uploadDir = getUploadDir();
+      fs.mkdir(uploadDir, { recursive: true }, (error) => cb(error, uploadDir));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`);
+    },
+  }),
+  limits: { fileSize: MAX_UPLOAD_SIZE },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!supportedExtensions.includes(extension)) {
+      return cb(new Error(`Unsupported file type. Upload one of: ${supportedExtensions.join(', ')}`));
+    }
+    cb(null, true);
+  },
+});
+
+// Helper middleware to accept a single `file` upload and turn multer errors into 400s
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `File too large. Maximum size is ${MAX_UPLOAD_SIZE / (1024 * 1024)} MB`
+          : error.message,
+      });
+    }
+    next();
+  });
+};
+
+// Helper function for pagination
+const buildPagination = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  return { page, limit, skip };
+};
+
+// Jobs are visible to the user who created them and to admins
+const canAccessJob = (user, job) => user.role === 'admin'
+  || (job.created_by && job.created_by.equals(user._id));
+
+// Helper middleware to load the :id job or respond with 400/403/404
+const loadJob = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID',
+      });
+    }
+
+    const job = await ImportJob.findById(id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+    if (!canAccessJob(req.user, job)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden. You can only access your own jobs.',
+      });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   POST /api/jobs/import
+// @desc    Queue a background import of a UDISE-format CSV/XLSX file (optional academic_year field
+//          imports the file as that year's snapshots)
+// @access  Private (create_schools and edit_schools permissions)
+router.post('/import', auth, requirePermission('create_schools', 'edit_schools'), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded. Send the file in a multipart "file" field',
+      });
+    }
+
+    const academicYear = req.body.academic_year || undefined;
+    if (academicYear && !SchoolSnapshot.isAcademicYear(academicYear)) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid academic_year. Use the form 2023-24',
+      });
+    }
+
+    const job = await ImportJob.create({
+      academic_year: academicYear,
+      source: {
+        fileName: req.file.originalname,
+        path: req.file.path,
+        size: req.file.size,
+        temporary: true,
+      },
+      created_by: req.user._id,
+    });
+
+    // Pick the job up straight away instead of waiting for the next poll,
+    // unless the worker runs as its own process
+    if (process.env.IMPORT_WORKER !== 'off') {
+      runPendingJobs();
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Import job queued',
+      data: job,
+    });
+  } catch (error) {
+    console.error('Queue import job error:', error);
+    if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while queueing import job',
+    });
+  }
+});
+
+// @route   GET /api/jobs
+// @desc    List import jobs (own jobs; admins see all), newest first
+// @access  Private (JWT required)
+router.get('/', auth, async (req, res) => {
+  try {
+    const filters = req.user.role === 'admin' ? {} : { created_by: req.user._id };
+    if (req.query.status) filters.status = req.query.status;
+    const { page, limit, skip } = buildPagination(req.query);
+
+    const [total, jobs] = await Promise.all([
+      ImportJob.countDocuments(filters),
+      ImportJob.find(filters)
+        .select('-errorSamples')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRecords: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit,
+      },
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching jobs',
+    });
+  }
+});
+
+// @route   GET /api/jobs/:id
+// @desc    Get status, counts and error samples of an import job
+// @access  Private (job owner or admin)
+router.get('/:id', auth, loadJob, async (req, res) => {
+  res.json({
+    success: true,
+    data: req.job,
+  });
+});
+
+// @route   POST /api/jobs/:id/cancel
+// @desc    Cancel a queued job, or ask a running job to stop after its current batch
+// @access  Private (job owner or admin)
+router.post('/:id/cancel', auth, loadJob, async (req, res) => {
+  try {
+    const { job } = req;
+
+    if (!['queued', 'running'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Job is already ${job.status}`,
+      });
+    }
+
+    // A queued job is cancelled outright, unless the worker claimed it meanwhile
+    const cancelled = await ImportJob.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      { status: 'cancelled', cancelRequested: true, finishedAt: new Date() },
+      { new: true },
+    );
+    if (cancelled) {
+      if (cancelled.source.temporary) fs.promises.unlink(cancelled.source.path).catch(() => {});
+      return res.json({
+        success: true,
+        message: 'Import job cancelled',
+        data: cancelled,
+      });
+    }
+
+    const running = await ImportJob.findByIdAndUpdate(job._id, { cancelRequested: true }, { new: true });
+
+    res.status(202).json({
+      success: true,
+      message: 'Cancellation requested. The job stops after its current batch.',
+      data: running,
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while cancelling job',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const User = require('../models/User');
+
+// Usage: node scripts/createAdmin.js <email> [password]
+// Creates an admin account, or promotes an existing user to admin.
+const createAdmin = async (email, password) => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/udise-dashboard');
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  if (user) {
+    user.role = 'admin';
+    user.isActive = true;
+    if (password) user.password = password;
+    await user.save();
+    console.log(`✅ Promoted ${user.email} to admin`);
+  } else {
+    if (!password) {
+      throw new Error('Password is required when creating a new admin');
+    }
+    user = await User.create({ email, password, role: 'admin' });
+    console.log(`✅ Created admin ${user.email}`);
+  }
+};
+
+if (require.main === module) {
+  const [email, password] = process.argv.slice(2);
+
+  if (!email) {
+    console.log('Usage: node scripts/createAdmin.js <email> [password]');
+    process.exit(1);
+  }
+
+  createAdmin(email, password)
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+      console.error('❌ Failed to create admin:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { createAdmin };
@@ -0,0 +1,60 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const ImportJob = require('../models/ImportJob');
+const SchoolSnapshot = require('../models/SchoolSnapshot');
+const { supportedExtensions } = require('../utils/schoolImport');
+
+// Usage: node scripts/enqueueImport.js <path-to-csv-or-xlsx> [academic-year]
+// Queues a background import of a file that the worker can read from disk,
+// then exits. With an academic year (e.g. 2023-24) the rows are stored as
+// that year's snapshots. Follow progress with GET /api/jobs/:id.
+const enqueueImport = async (filePath, academicYear) => {
+  const absolutePath = path.resolve(filePath);
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`File not found: ${absolutePath}`);
+  }
+  if (!supportedExtensions.includes(path.extname(absolutePath).toLowerCase())) {
+    throw new Error(`Unsupported file type. Use one of: ${supportedExtensions.join(', ')}`);
+  }
+
+  if (academicYear && !SchoolSnapshot.isAcademicYear(academicYear)) {
+    throw new Error(`Invalid academic year "${academicYear}". Use the form 2023-24`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/udise-dashboard');
+
+  const job = await ImportJob.create({
+    academic_year: academicYear,
+    source: {
+      fileName: path.basename(absolutePath),
+      path: absolutePath,
+      size: fs.statSync(absolutePath).size,
+    },
+  });
+
+  console.log(`✅ Queued import job ${job._id} for ${absolutePath}`);
+  return job;
+};
+
+if (require.main === module) {
+  const [filePath, academicYear] = process.argv.slice(2);
+
+  if (!filePath) {
+    console.log('Usage: node scripts/enqueueImport.js <path-to-csv-or-xlsx> [academic-year]');
+    process.exit(1);
+  }
+
+  enqueueImport(filePath, academicYear)
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+      console.error('❌ Failed to queue import:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { enqueueImport };
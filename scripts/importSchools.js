@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 const csv = require('csv-parser');
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 const School = require('../models/School');
+const { invalidate: invalidateCache } = require('../utils/cache');
+const { summariesBuilt, rebuildSchoolSummaries } = require('../utils/schoolSummaries');
+const { processSchoolData, getMissingFields } = require('../utils/schoolRowMapper');
 
 console.log('Starting import.js...');
 
@@ -28,57 +31,6 @@ const connectDB = async () => {
   }
 };
 
-const cleanPrefix = (val) => {
-  if (!val) return val;
-  return val.toString().replace(/^\d+\-\s*/, '').trim();
-};
-
-const processSchoolData = (data) => {
-  let management = cleanPrefix(data.state_mgmt || data.national_mgmt);
-  if (management === 'MPP_ZPP SCHOOLS' || management === 'Department of Education') {
-    management = 'Government';
-  } else if (management === 'Pvt.Unaided' || management === 'Private Unaided (Recognized)') {
-    management = 'Private Unaided';
-  } else if (management === 'Aided' || management === 'Private Aided (Recognized)') {
-    management = 'Aided';
-  } else {
-    management = 'Other';
-  }
-
-  let school_type = cleanPrefix(data.school_type);
-  if (school_type === 'Co-educational') {
-    school_type = 'Co-Ed';
-  } else if (!['Girls', 'Boys', 'Other'].includes(school_type)) {
-    school_type = 'Other';
-  }
-
-  let school_status = cleanPrefix(data.school_status);
-  if (school_status === 'Closed') {
-    school_status = 'Permanently Closed';
-  } else if (!['Operational', 'Permanently Closed', 'Other'].includes(school_status)) {
-    school_status = 'Other';
-  }
-
-  const block = data.block?.trim() && data.block !== 'null' ? data.block.trim() : 'Unknown';
-  const village = data.village?.trim() && data.village !== 'null' ? data.village.trim() : 'Unknown';
-
-  return {
-    udise_code: data.udise_code?.trim(),
-    school_name: data.school_name?.trim(),
-    state: data.state?.trim(),
-    district: data.district?.trim(),
-    block,
-    village,
-    cluster: data.cluster?.trim(),
-    management,
-    location: cleanPrefix(data.location) || 'Other',
-    school_category: cleanPrefix(data.school_category),
-    school_type,
-    school_status,
-    isActive: school_status === 'Operational',
-  };
-};
-
 async function importSchools() {
   await connectDB();
 
@@ -111,7 +63,7 @@ async function importSchools() {
     totalProcessed++;
 
     const processed = processSchoolData(data);
-    if (processed.udise_code && processed.school_name && processed.state && processed.district) {
+    if (getMissingFields(processed).length === 0) {
       batch.push(processed);
     } else {
       console.warn(`Skipped invalid record: ${data.udise_code || 'unknown'}`);
@@ -152,6 +104,9 @@ async function importSchools() {
     console.log(`✅ Import completed successfully! Total records processed: ${totalProcessed}, Inserted: ${count}`);
     const totalRecords = await School.countDocuments();
     console.log(`Total documents in ${School.collection.name} collection: ${totalRecords}`);
+    // Recount the dashboard summaries and let running API servers drop cached data
+    if (await summariesBuilt()) await rebuildSchoolSummaries();
+    await invalidateCache();
     await mongoose.connection.close();
     console.log('MongoDB connection closed');
     process.exit(0);
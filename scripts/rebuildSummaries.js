@@ -0,0 +1,33 @@
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const { rebuildSchoolSummaries } = require('../utils/schoolSummaries');
+const { invalidate: invalidateCache } = require('../utils/cache');
+
+// Usage: node scripts/rebuildSummaries.js
+// Recounts the school_summaries collection from the schools. Run it once to
+// start serving dashboard aggregates from the summaries, or to repair drift
+// after a failed incremental update.
+const rebuildSummaries = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/udise-dashboard');
+
+  const startedAt = Date.now();
+  const { rows, schools } = await rebuildSchoolSummaries();
+  await invalidateCache();
+
+  console.log(`✅ Rebuilt ${rows} summary rows covering ${schools} schools in ${Date.now() - startedAt}ms`);
+  return { rows, schools };
+};
+
+if (require.main === module) {
+  rebuildSummaries()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+      console.error('❌ Failed to rebuild summaries:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { rebuildSummaries };
@@ -2,14 +2,21 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const authRoutes = require('./routes/auth');
-const dataRoutes = require('./routes/data');
 
-// Load environment variables
+// Load environment variables (before the routes, which read them at load time)
 dotenv.config();
 
+const authRoutes = require('./routes/auth');
+const dataRoutes = require('./routes/data');
+const adminRoutes = require('./routes/admin');
+const jobRoutes = require('./routes/jobs');
+const { startImportWorker } = require('./utils/importWorker');
+
 const app = express();
 
+// Render terminates TLS at a proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
 const corsOptions = {
   origin: 'https://udise-frontend.vercel.app', // Your frontend domain
   credentials: true,
@@ -31,12 +38,21 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/udise-das
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB Atlas'))
+.then(() => {
+    console.log('✅ Connected to MongoDB Atlas');
+    // Run the import worker in-process unless it runs as its own process
+    if (process.env.IMPORT_WORKER !== 'off') {
+        startImportWorker({ pollInterval: parseInt(process.env.IMPORT_WORKER_POLL_MS) || undefined })
+            .catch(err => console.error('❌ Import worker failed to start:', err));
+    }
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/data', dataRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Root route (test)
 app.get("/", (req, res) => {
@@ -0,0 +1,89 @@
+const SchoolAudit = require('../models/SchoolAudit');
+
+// Bookkeeping fields that are never reported as changes
+const ignoredFields = ['_id', '__v', 'createdAt', 'updatedAt', 'created_by', 'updated_by'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && value.constructor === Object;
+
+// Flatten nested objects into dotted paths, e.g. { infrastructure: { has_library } }
+// becomes { 'infrastructure.has_library' }
+const flatten = (record, prefix = '', out = {}) => {
+  Object.entries(record || {}).forEach(([key, value]) => {
+    if (!prefix && ignoredFields.includes(key)) return;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value === undefined ? null : value;
+    }
+  });
+  return out;
+};
+
+// ObjectIds, Dates and arrays compare by their JSON form
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level diff between two plain school objects (either may be null)
+const diffRecords = (before, after) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  fields.forEach((field) => {
+    const oldValue = field in flatBefore ? flatBefore[field] : null;
+    const newValue = field in flatAfter ? flatAfter[field] : null;
+    if (!isEqual(oldValue, newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  });
+
+  return changes;
+};
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Write an audit entry for a school change. Failures are logged rather than
+// thrown, since the school write itself has already succeeded.
+const recordSchoolChange = async ({ action, school, before = null, after = null, user }) => {
+  try {
+    const changes = diffRecords(toPlain(before), toPlain(after));
+    if (action === 'update' && changes.length === 0) return null;
+
+    return await SchoolAudit.create({
+      school: school._id,
+      udise_code: school.udise_code,
+      action,
+      changed_by: user && user._id,
+      changes,
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// Bulk variant for imports: entries are { action, school, before, after }.
+// Unchanged updates are skipped.
+const recordSchoolChanges = async (entries, user) => {
+  try {
+    const audits = entries
+      .map(({ action, school, before = null, after = null }) => ({
+        school: school._id,
+        udise_code: school.udise_code,
+        action,
+        changed_by: user && user._id,
+        changes: diffRecords(toPlain(before), toPlain(after)),
+      }))
+      .filter((audit) => audit.action !== 'update' || audit.changes.length > 0);
+
+    if (audits.length === 0) return [];
+    return await SchoolAudit.insertMany(audits, { ordered: false });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return [];
+  }
+};
+
+module.exports = { diffRecords, recordSchoolChange, recordSchoolChanges };
@@ -0,0 +1,261 @@
+// Pluggable cache for expensive read queries (distribution, filter options).
+// A store is any object with async `get(key)`, `set(key, value, ttlMs)` and
+// `clear()` methods holding strings. Pick one with CACHE_STORE (memory, redis
+// or none), or install a custom one with setStore().
+//
+// Cached results are invalidated as a whole whenever school data changes.
+// Keys also embed a local generation number, so a result computed while an
+// invalidation happened is stored under an old key and never read.
+//
+// Invalidations are also counted in MongoDB (the cache_state collection), so
+// that processes sharing the database see each other's: the import worker,
+// CLI scripts and other API instances. Each process checks the shared count
+// at most once per CACHE_SYNC_MS before answering from its cache.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_SYNC_INTERVAL_MS = 5000;
+const SHARED_STATE_ID = 'query-cache';
+
+// In-process LRU. Map keeps insertion order, so the first key is the least
+// recently used one.
+const createMemoryStore = ({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear: async () => {
+      entries.clear();
+    },
+    size: () => entries.size,
+  };
+};
+
+// Adapter for a connected node-redis (v4) compatible client, shared by every
+// API instance. Keys live under `prefix` plus a generation counter kept in
+// Redis, so clear() from any instance hides all entries at once; the old
+// ones expire on their own.
+const createRedisStore = (client, { prefix = 'udise:cache:' } = {}) => {
+  const generationKey = `${prefix}generation`;
+  const prefixed = async (key) => `${prefix}${(await client.get(generationKey)) || 0}:${key}`;
+
+  return {
+    name: 'redis',
+    get: async (key) => client.get(await prefixed(key)),
+    set: async (key, value, ttlMs) => {
+      await client.set(await prefixed(key), value, { PX: ttlMs });
+    },
+    clear: async () => {
+      await client.incr(generationKey);
+    },
+  };
+};
+
+// Stores nothing, e.g. to switch caching off with CACHE_STORE=none
+const noopStore = {
+  name: 'none',
+  get: async () => null,
+  set: async () => {},
+  clear: async () => {},
+};
+
+const storeFactories = {
+  memory: () => createMemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES }),
+  // The redis package is only needed when this store is selected
+  redis: () => {
+    const { createClient } = require('redis');
+    // Fail fast instead of queueing commands while Redis is unreachable
+    const client = createClient({ url: process.env.REDIS_URL, disableOfflineQueue: true });
+    client.on('error', (error) => console.error('Redis cache error:', error.message));
+    client.connect().catch(() => {});
+    return createRedisStore(client);
+  },
+  none: () => noopStore,
+};
+
+const isStore = (store) => !!store && ['get', 'set', 'clear'].every((method) => typeof store[method] === 'function');
+
+let activeStore = null;
+let generation = 0;
+let sharedGeneration = null;
+let lastSyncAt = 0;
+let stats = { hits: 0, misses: 0, errors: 0, invalidations: 0, namespaces: {} };
+
+// Register a named store factory so it can be selected through CACHE_STORE
+const registerStore = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error('Cache store factory must be a function returning a store');
+  }
+  storeFactories[name] = factory;
+};
+
+// Override the store for the whole process (e.g. in tests)
+const setStore = (store) => {
+  if (store && !isStore(store)) {
+    throw new Error('Cache store must implement get(key), set(key, value, ttlMs) and clear()');
+  }
+  activeStore = store;
+};
+
+const getStore = () => {
+  if (activeStore) return activeStore;
+
+  const name = process.env.CACHE_STORE || 'memory';
+  const factory = storeFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown cache store: ${name}`);
+  }
+  activeStore = factory();
+  return activeStore;
+};
+
+// JSON with object keys sorted, so equal filters always give the same key
+const normalise = (value) => {
+  if (Array.isArray(value)) return value.map(normalise);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, normalise(value[key])]));
+  }
+  return value;
+};
+
+const buildKey = (namespace, params) => `${namespace}:${generation}:${JSON.stringify(normalise(params))}`;
+
+const countFor = (namespace, outcome) => {
+  stats[outcome] += 1;
+  const counts = stats.namespaces[namespace] || (stats.namespaces[namespace] = { hits: 0, misses: 0 });
+  counts[outcome] += 1;
+};
+
+// Drop this process's cached results
+const clearLocal = () => {
+  generation += 1;
+  stats.invalidations += 1;
+  getStore().clear().catch(() => {
+    stats.errors += 1;
+  });
+};
+
+// The shared invalidation counter, or null while MongoDB is not connected
+const sharedState = () => (mongoose.connection.readyState === 1
+  ? mongoose.connection.collection('cache_state')
+  : null);
+
+// Clear the local cache when another process has invalidated since the last check
+const syncSharedGeneration = async () => {
+  const collection = sharedState();
+  const interval = parseInt(process.env.CACHE_SYNC_MS) || DEFAULT_SYNC_INTERVAL_MS;
+  if (!collection || Date.now() - lastSyncAt < interval) return;
+
+  lastSyncAt = Date.now();
+  const state = await collection.findOne({ _id: SHARED_STATE_ID });
+  const current = state ? state.generation : 0;
+  if (sharedGeneration !== null && current !== sharedGeneration) clearLocal();
+  sharedGeneration = current;
+};
+
+// Return the cached result for (namespace, params), or compute and store it.
+// Store failures never fail the request; the result is just computed.
+const cached = async (namespace, params, compute, { ttlMs } = {}) => {
+  try {
+    await syncSharedGeneration();
+  } catch (error) {
+    stats.errors += 1;
+  }
+
+  const key = buildKey(namespace, params);
+  const store = getStore();
+
+  try {
+    const hit = await store.get(key);
+    if (hit != null) {
+      countFor(namespace, 'hits');
+      return JSON.parse(hit);
+    }
+  } catch (error) {
+    stats.errors += 1;
+  }
+
+  countFor(namespace, 'misses');
+  const value = await compute();
+
+  try {
+    await store.set(key, JSON.stringify(value), ttlMs || parseInt(process.env.CACHE_TTL_MS) || DEFAULT_TTL_MS);
+  } catch (error) {
+    stats.errors += 1;
+  }
+  return value;
+};
+
+// Forget every cached result, here and in the other processes. Called after
+// any change to school data. Resolves once the shared count is updated, which
+// scripts should wait for before disconnecting; it never rejects.
+const invalidate = async () => {
+  clearLocal();
+
+  const collection = sharedState();
+  if (!collection) return;
+
+  try {
+    const result = await collection.findOneAndUpdate(
+      { _id: SHARED_STATE_ID },
+      { $inc: { generation: 1 } },
+      { upsert: true, returnDocument: 'after' },
+    );
+    // Older drivers wrap the document in { value }
+    const state = result && result.value !== undefined ? result.value : result;
+    // Another process invalidated too; its change may postdate the clear above
+    if (sharedGeneration !== null && state.generation !== sharedGeneration + 1) clearLocal();
+    sharedGeneration = state.generation;
+  } catch (error) {
+    stats.errors += 1;
+  }
+};
+
+const getStats = () => {
+  const store = getStore();
+  const lookups = stats.hits + stats.misses;
+  return {
+    store: store.name || 'custom',
+    entries: typeof store.size === 'function' ? store.size() : null,
+    generation,
+    sharedGeneration,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 10000) / 100 : null,
+  };
+};
+
+const resetStats = () => {
+  stats = { hits: 0, misses: 0, errors: 0, invalidations: 0, namespaces: {} };
+};
+
+module.exports = {
+  cached,
+  invalidate,
+  getStats,
+  resetStats,
+  registerStore,
+  setStore,
+  getStore,
+  createMemoryStore,
+  createRedisStore,
+};
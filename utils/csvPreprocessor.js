@@ -1,17 +1,13 @@
 const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
+const { processSchoolDetails } = require('./schoolRowMapper');
 
 const cleanString = (str) => {
     if (!str) return '';
     return str.toString().trim().replace(/\s+/g, ' ');
 };
 
-const cleanNumber = (num) => {
-    if (!num || isNaN(num)) return 0;
-    return parseInt(num) || 0;
-};
-
 const transformRow = (row) => {
     return {
         udise_code: cleanString(row.udise_cod),
@@ -25,32 +21,29 @@ const transformRow = (row) => {
         school_type: transformSchoolType(row.school_typ),
         school_category: cleanString(row.school_cat),
         school_status: cleanString(row.school_status),
-        establishment_year: cleanNumber(row.establishment_year),
-        total_students: cleanNumber(row.total_students),
-        total_teachers: cleanNumber(row.total_teachers),
-        infrastructure: {
-            has_electricity: Boolean(row.electricity),
-            has_drinking_water: Boolean(row.drinking_water),
-            has_toilets: Boolean(row.toilets),
-            has_library: Boolean(row.library),
-            has_computer_lab: Boolean(row.computer_lab)
-        },
-        academic_performance: {
-            pass_percentage: cleanNumber(row.pass_percentage),
-            dropout_rate: cleanNumber(row.dropout_rate)
-        },
-        contact_info: {
-            phone: cleanString(row.phone),
-            email: cleanString(row.email),
-            website: cleanString(row.website)
-        },
-        coordinates: {
-            latitude: parseFloat(row.latitude) || null,
-            longitude: parseFloat(row.longitude) || null
-        }
+        // Enrollment, staffing, infrastructure, contact and coordinates
+        ...processSchoolDetails(row)
     };
 };
 
+const flattenRow = (row, prefix = '', out = {}) => {
+    Object.entries(row).forEach(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object') {
+            flattenRow(value, column, out);
+        } else {
+            out[column] = value;
+        }
+    });
+    return out;
+};
+
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 const transformManagement = (stateMgn) => {
     const clean = cleanString(stateMgn);
     switch (clean) {
@@ -65,7 +58,7 @@ const transformManagement = (stateMgn) => {
             return 'Government';
         case '3':
         case '3-Minority':
-            return 'Private Aided';
+            return 'Aided';
         case '4':
         case '4-Other':
             return 'Other';
@@ -152,11 +145,13 @@ const preprocessCSV = async (inputPath, outputPath, limit = null) => {
                             return;
                         }
                         
-                        const csvHeader = Object.keys(transformedRows[0]).join(',');
-                        const csvRows = transformedRows.map(row => 
-                            Object.values(row).map(value => 
-                                typeof value === 'object' ? JSON.stringify(value) : value
-                            ).join(',')
+                        // Nested objects become dotted columns (e.g. infrastructure.has_library),
+                        // which the seeder and importers read back
+                        const flatRows = transformedRows.map(row => flattenRow(row));
+                        const columns = Object.keys(flatRows[0]);
+                        const csvHeader = columns.join(',');
+                        const csvRows = flatRows.map(row => 
+                            columns.map(column => escapeCsvValue(row[column])).join(',')
                         );
                         
                         const csvContent = [csvHeader, ...csvRows].join('\n');
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Keyset ("cursor") pagination. A cursor is an opaque base64url token holding
+// the sort key values and _id of the boundary document, the direction to
+// page in, and a signature of the sort so it cannot be replayed against
+// another ordering. Sort keys are expected to be non-null.
+
+const sortSignature = (sort) => Object.entries(sort).map(([field, order]) => `${field}:${order}`).join(',');
+
+// Dates and ObjectIds survive the JSON round trip as tagged values
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.$date) return new Date(value.$date);
+    if (value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  }
+  return value;
+};
+
+const encodeCursor = (doc, sort, direction) => {
+  const payload = {
+    s: sortSignature(sort),
+    d: direction,
+    v: Object.keys(sort).map((field) => encodeValue(doc[field])),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns { direction, values } or null when the cursor is malformed or was
+// issued for a different sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const fields = Object.keys(sort);
+
+    if (payload.s !== sortSignature(sort) || !Array.isArray(payload.v) || payload.v.length !== fields.length) {
+      return null;
+    }
+    if (!['next', 'prev'].includes(payload.d)) return null;
+
+    return { direction: payload.d, values: payload.v.map(decodeValue) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filter matching documents strictly after (next) or before (prev) the
+// boundary values in the given sort order:
+// (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND _id > z) ...
+const buildKeysetFilter = (sort, values, direction) => {
+  const fields = Object.keys(sort);
+
+  return {
+    $or: fields.map((field, index) => {
+      const ascending = sort[field] === 1;
+      const forward = direction === 'next' ? ascending : !ascending;
+      const clause = {};
+      fields.slice(0, index).forEach((previous, previousIndex) => {
+        clause[previous] = values[previousIndex];
+      });
+      clause[field] = { [forward ? '$gt' : '$lt']: values[index] };
+      return clause;
+    }),
+  };
+};
+
+// Flip every direction of a sort (used to walk backwards from a prev cursor)
+const reverseSort = (sort) => Object.fromEntries(Object.entries(sort).map(([field, order]) => [field, -order]));
+
+module.exports = { encodeCursor, decodeCursor, buildKeysetFilter, reverseSort };
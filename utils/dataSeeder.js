@@ -2,6 +2,9 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const mongoose = require('mongoose');
 const School = require('../models/School');
+const { processSchoolDetails } = require('./schoolRowMapper');
+const { invalidate: invalidateCache } = require('./cache');
+const { summariesBuilt, rebuildSchoolSummaries } = require('./schoolSummaries');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -18,11 +21,6 @@ const cleanString = (str) => {
     return str.toString().trim().replace(/\s+/g, ' ');
 };
 
-const cleanNumber = (num) => {
-    if (!num || isNaN(num)) return 0;
-    return parseInt(num) || 0;
-};
-
 // Map management type from CSV values to schema values
 const mapManagementType = (stateMgn) => {
     const clean = cleanString(stateMgn);
@@ -40,7 +38,7 @@ const mapManagementType = (stateMgn) => {
             return 'Government';
         case '3':
         case '3-Minority':
-            return 'Private Aided';
+            return 'Aided';
         case '4':
         case '4-Other':
             return 'Other';
@@ -98,29 +96,8 @@ const processSchoolData = (row) => {
         management: mapManagementType(row.state_mgn), // CSV: state_mgn
         location: mapLocation(row.location), // CSV: location
         school_type: mapSchoolType(row.school_typ), // CSV: school_typ
-        establishment_year: cleanNumber(row.establishment_year || row.year),
-        total_students: cleanNumber(row.total_students || row.students),
-        total_teachers: cleanNumber(row.total_teachers || row.teachers),
-        infrastructure: {
-            has_electricity: Boolean(row.electricity || row.elec),
-            has_drinking_water: Boolean(row.drinking_water || row.water),
-            has_toilets: Boolean(row.toilets || row.toilet),
-            has_library: Boolean(row.library),
-            has_computer_lab: Boolean(row.computer_lab || row.comp_lab)
-        },
-        academic_performance: {
-            pass_percentage: cleanNumber(row.pass_percentage || row.pass_rate),
-            dropout_rate: cleanNumber(row.dropout_rate || row.dropout)
-        },
-        contact_info: {
-            phone: cleanString(row.phone || row.telephone),
-            email: cleanString(row.email),
-            website: cleanString(row.website || row.web)
-        },
-        coordinates: {
-            latitude: parseFloat(row.latitude || row.lat) || null,
-            longitude: parseFloat(row.longitude || row.lng) || null
-        }
+        // Enrollment, staffing, infrastructure, contact and coordinates
+        ...processSchoolDetails(row)
     };
 };
 
@@ -183,6 +160,9 @@ const seedData = async (csvFilePath, limit = null) => {
                         }
                         
                         console.log(`✅ Successfully imported ${schools.length} schools`);
+                        // Recount the dashboard summaries and let running API servers drop cached data
+                        if (await summariesBuilt()) await rebuildSchoolSummaries();
+                        await invalidateCache();
                         
                         // Get some statistics
                         const totalSchools = await School.countDocuments();
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const User = require('../models/User');
+const {
+  readSchoolRows,
+  prepareRow,
+  importBatch,
+  createReport,
+  addReportRow,
+} = require('./schoolImport');
+
+const BATCH_SIZE = 1000;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// A running job whose worker has been silent this long is taken to be orphaned
+const STALE_AFTER_MS = 5 * HEARTBEAT_INTERVAL_MS;
+
+// Identifies this process on the jobs it claims
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let pollTimer = null;
+let busy = false;
+
+// Import one batch of raw rows and record its outcome on the job.
+// Duplicate udise_codes are only detected within a batch, so memory stays
+// flat however large the file is. Resolves to the updated job.
+const processBatch = async (job, rows, user) => {
+  const report = createReport();
+  const seenCodes = new Map();
+  const valid = [];
+
+  rows.forEach((row) => {
+    const { school, reason } = prepareRow(row, user, seenCodes);
+    if (reason) {
+      addReportRow(report, row.rowNumber, school.udise_code, 'rejected', reason);
+      return;
+    }
+    seenCodes.set(school.udise_code, row.rowNumber);
+    valid.push({ rowNumber: row.rowNumber, school });
+  });
+
+  if (valid.length > 0) {
+    await importBatch(valid, user, report, { academicYear: job.academic_year });
+  }
+
+  const rejectedRows = report.rows.filter((row) => row.status === 'rejected');
+
+  return ImportJob.findByIdAndUpdate(
+    job._id,
+    {
+      $inc: {
+        'counts.processed': rows.length,
+        'counts.inserted': report.inserted,
+        'counts.updated': report.updated,
+        'counts.failed': report.rejected,
+      },
+      $push: {
+        errorSamples: {
+          $each: rejectedRows.map(({ row, udise_code, reason }) => ({ row, udise_code, reason })),
+          $slice: ImportJob.MAX_ERROR_SAMPLES,
+        },
+      },
+    },
+    { new: true },
+  );
+};
+
+// Run a claimed job to completion, failure or cancellation. A heartbeat is
+// recorded while it runs so other workers leave it alone.
+const processJob = async (job) => {
+  console.log(`📥 Import job ${job._id} started (${job.source.fileName || job.source.path})`);
+
+  const heartbeat = setInterval(() => {
+    ImportJob.updateOne({ _id: job._id, worker: workerId }, { heartbeatAt: new Date() })
+      .catch((error) => console.error(`Import job ${job._id} heartbeat error:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    // Jobs are scoped to their creator's jurisdiction; without the creator
+    // they would run unscoped, so they fail instead (CLI jobs have no creator)
+    const user = job.created_by ? await User.findById(job.created_by) : null;
+    if (job.created_by && (!user || !user.isActive)) {
+      throw new Error('The user who queued this import no longer exists or is deactivated');
+    }
+    let batch = [];
+    let current = job;
+
+    for await (const row of readSchoolRows(job.source.path)) {
+      batch.push(row);
+      if (batch.length < BATCH_SIZE) continue;
+
+      current = await processBatch(job, batch, user);
+      batch = [];
+      if (current.cancelRequested) break;
+    }
+
+    if (batch.length > 0 && !current.cancelRequested) {
+      current = await processBatch(job, batch, user);
+    }
+
+    const status = current.cancelRequested ? 'cancelled' : 'completed';
+    await ImportJob.findByIdAndUpdate(job._id, { status, finishedAt: new Date() });
+    console.log(`✅ Import job ${job._id} ${status}: ${current.counts.processed} rows processed`);
+  } catch (error) {
+    console.error(`❌ Import job ${job._id} failed:`, error);
+    await ImportJob.findByIdAndUpdate(job._id, {
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date(),
+    });
+  } finally {
+    clearInterval(heartbeat);
+    if (job.source.temporary) {
+      fs.promises.unlink(job.source.path).catch(() => {});
+    }
+  }
+};
+
+// Atomically claim the oldest queued job
+const claimNextJob = () => {
+  const now = new Date();
+  return ImportJob.findOneAndUpdate(
+    { status: 'queued' },
+    { status: 'running', worker: workerId, startedAt: now, heartbeatAt: now },
+    { sort: { createdAt: 1 }, new: true },
+  );
+};
+
+// Jobs whose worker stopped sending heartbeats (the process died or was
+// restarted) are restarted from the beginning; upserts by udise_code make
+// re-running a file safe. Jobs other live workers are running are left alone.
+const requeueInterruptedJobs = async () => {
+  const result = await ImportJob.updateMany(
+    {
+      status: 'running',
+      $or: [
+        { heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+        { heartbeatAt: null },
+      ],
+    },
+    {
+      status: 'queued',
+      $unset: { worker: '', heartbeatAt: '' },
+      counts: { processed: 0, inserted: 0, updated: 0, failed: 0 },
+      errorSamples: [],
+    },
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🔁 Re-queued ${result.modifiedCount} interrupted import job(s)`);
+  }
+};
+
+// Process queued jobs one at a time until the queue is empty
+const runPendingJobs = async () => {
+  if (busy) return;
+  busy = true;
+
+  try {
+    await requeueInterruptedJobs();
+    let job = await claimNextJob();
+    while (job) {
+      await processJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Import worker error:', error);
+  } finally {
+    busy = false;
+  }
+};
+
+const startImportWorker = async ({ pollInterval = DEFAULT_POLL_INTERVAL_MS } = {}) => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(runPendingJobs, pollInterval);
+  runPendingJobs();
+  console.log('⚙️  Import worker started');
+};
+
+const stopImportWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// CLI usage: run the worker as its own process
+if (require.main === module) {
+  require('dotenv').config();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/udise-dashboard')
+    .then(() => {
+      console.log('✅ Connected to MongoDB');
+      return startImportWorker({ pollInterval: parseInt(process.env.IMPORT_WORKER_POLL_MS) || DEFAULT_POLL_INTERVAL_MS });
+    })
+    .catch((error) => {
+      console.error('💥 Import worker failed to start:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { startImportWorker, stopImportWorker, runPendingJobs };
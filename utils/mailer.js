@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable outbound mail. A transport is any object with an async
+// `send(message)` method, where message is { to, subject, text, html }.
+// Pick one with MAIL_TRANSPORT, or install a custom one with setTransport().
+
+// Logs messages to stdout - handy for local development
+const consoleTransport = {
+    name: 'console',
+    send: async (message) => {
+        console.log('📧 Outgoing mail');
+        console.log(`   To: ${message.to}`);
+        console.log(`   Subject: ${message.subject}`);
+        console.log(message.text);
+        return { delivered: true };
+    }
+};
+
+// Writes each message as a JSON file into MAIL_OUTBOX_DIR, so flows can be
+// exercised and inspected offline
+const fileTransport = {
+    name: 'file',
+    send: async (message) => {
+        const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox'));
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+        return { delivered: true, path: filePath };
+    }
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+let activeTransport = null;
+
+// Register a named transport so it can be selected through MAIL_TRANSPORT
+const registerTransport = (name, transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message)');
+    }
+    transports[name] = transport;
+};
+
+// Override the transport for the whole process (e.g. in tests)
+const setTransport = (transport) => {
+    if (transport && typeof transport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message)');
+    }
+    activeTransport = transport;
+};
+
+const getTransport = () => {
+    if (activeTransport) return activeTransport;
+
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+};
+
+const sendMail = async (message) => {
+    if (!message.to || !message.subject) {
+        throw new Error('Mail requires a recipient and a subject');
+    }
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'no-reply@udise-dashboard.local',
+        ...message
+    });
+};
+
+module.exports = { sendMail, registerTransport, setTransport, getTransport };
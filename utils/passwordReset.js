@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Issue a single-use reset token for the user and email them the reset link.
+// `forced` is used when an admin requires the user to pick a new password.
+const startPasswordReset = async (user, { forced = false } = {}) => {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+    await user.save();
+
+    const appUrl = process.env.APP_URL || 'https://udise-frontend.vercel.app';
+    const resetUrl = `${appUrl}/reset-password?token=${resetToken}`;
+
+    const intro = forced
+        ? 'An administrator has required you to set a new password before you can log in again.'
+        : 'Use the link below to reset your password.';
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your UDISE Dashboard password',
+        text: [
+            `Hello ${user.name},`,
+            `${intro} The link expires in 1 hour.`,
+            resetUrl,
+            forced ? null : 'If you did not request this, you can ignore this email.'
+        ].filter(Boolean).join('\n\n')
+    });
+};
+
+module.exports = { startPasswordReset };
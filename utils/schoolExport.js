@@ -0,0 +1,120 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const exportFormats = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+};
+
+// Read a (possibly dotted) field from a lean document
+const getField = (doc, field) => field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const toCellValue = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return value.toString === Object.prototype.toString ? JSON.stringify(value) : value.toString();
+  return value;
+};
+
+// Quote a CSV value when it contains a delimiter, quote or newline
+const escapeCsv = (value) => {
+  const text = String(toCellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Wait for the socket to drain or close. The listener that did not fire is
+// removed, since an export waits thousands of times on the same response.
+const drainOrClose = async (res) => {
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([once(res, 'drain', { signal }), once(res, 'close', { signal })]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// Write a chunk, waiting for the socket to drain when its buffer is full.
+// Throws once the client has gone away so the export loop stops.
+const write = async (res, chunk) => {
+  if (res.destroyed) throw new Error('Client disconnected during export');
+  if (!res.write(chunk)) {
+    await drainOrClose(res);
+  }
+};
+
+// Same wait for writers that feed the socket through a stream of their own,
+// so they stop producing while the client is behind
+const waitForDrain = async (res) => {
+  if (res.destroyed) throw new Error('Client disconnected during export');
+  if (res.writableNeedDrain) {
+    await drainOrClose(res);
+  }
+};
+
+const writeCsv = async (cursor, res, columns) => {
+  await write(res, `${columns.map(escapeCsv).join(',')}\n`);
+  for await (const doc of cursor) {
+    await write(res, `${columns.map((column) => escapeCsv(getField(doc, column))).join(',')}\n`);
+  }
+  res.end();
+};
+
+const writeJsonLines = async (cursor, res, columns) => {
+  for await (const doc of cursor) {
+    const record = {};
+    columns.forEach((column) => {
+      record[column] = getField(doc, column);
+    });
+    await write(res, `${JSON.stringify(record)}\n`);
+  }
+  res.end();
+};
+
+// Rows are committed one by one so the workbook is never held in memory
+const writeXlsx = async (cursor, res, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet('Schools');
+  worksheet.columns = columns.map((column) => ({ header: column, key: column }));
+
+  for await (const doc of cursor) {
+    const row = {};
+    columns.forEach((column) => {
+      row[column] = toCellValue(getField(doc, column));
+    });
+    worksheet.addRow(row).commit();
+    await waitForDrain(res);
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+const writers = {
+  csv: writeCsv,
+  xlsx: writeXlsx,
+  jsonl: writeJsonLines,
+};
+
+// Stream every document of a Mongo cursor to the response in the given format.
+// The cursor is closed if the client disconnects mid-download.
+const streamSchoolExport = async ({ cursor, res, format, columns, fileName }) => {
+  const { contentType, extension } = exportFormats[format];
+
+  res.status(200);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+
+  res.on('close', () => {
+    if (!res.writableFinished) cursor.close().catch(() => {});
+  });
+
+  await writers[format](cursor, res, columns);
+};
+
+module.exports = { exportFormats, streamSchoolExport, getField };
@@ -0,0 +1,89 @@
+const { getField } = require('./schoolExport');
+
+// GeoJSON output for the map layer: one Feature per school, or one per grid
+// cell when clustering. Coordinates are GeoJSON order, [longitude, latitude].
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 20;
+
+// Grid cells per 256px map tile edge, so clusters sit about 64px apart on screen
+const CELLS_PER_TILE = 4;
+
+// Grid cell edge in degrees for a web map zoom level
+const clusterCellSize = (zoom) => 360 / (2 ** zoom) / CELLS_PER_TILE;
+
+const pickProperties = (doc, fields) => {
+  const properties = {};
+  fields.forEach((field) => {
+    properties[field] = getField(doc, field) ?? null;
+  });
+  return properties;
+};
+
+// Feature for one lean school document carrying geo_location
+const toSchoolFeature = (school, fields) => ({
+  type: 'Feature',
+  id: school._id.toString(),
+  geometry: school.geo_location,
+  properties: pickProperties(school, fields),
+});
+
+// Aggregation grouping the matched schools into grid cells of cellSize degrees.
+// Each cell is placed at the centroid of its schools; cells holding a single
+// school keep that school's fields so the map can draw it as a plain marker.
+// At most maxCells + 1 of the fullest cells are returned, so the caller can
+// tell whether any were left out.
+const buildClusterPipeline = (filters, fields, cellSize, maxCells) => [
+  { $match: filters },
+  {
+    $project: {
+      ...Object.fromEntries(fields.map((field) => [field, 1])),
+      lng: { $arrayElemAt: ['$geo_location.coordinates', 0] },
+      lat: { $arrayElemAt: ['$geo_location.coordinates', 1] },
+    },
+  },
+  {
+    $group: {
+      _id: {
+        x: { $floor: { $divide: ['$lng', cellSize] } },
+        y: { $floor: { $divide: ['$lat', cellSize] } },
+      },
+      count: { $sum: 1 },
+      lng: { $avg: '$lng' },
+      lat: { $avg: '$lat' },
+      school: { $first: '$$ROOT' },
+    },
+  },
+  { $sort: { count: -1 } },
+  { $limit: maxCells + 1 },
+];
+
+// Feature for one grouped cell of buildClusterPipeline. Cluster features are
+// told apart by point_count, since schools have a `cluster` field of their own.
+const toClusterFeature = (cell, fields) => {
+  if (cell.count === 1) {
+    const { school } = cell;
+    return {
+      type: 'Feature',
+      id: school._id.toString(),
+      geometry: { type: 'Point', coordinates: [school.lng, school.lat] },
+      properties: pickProperties(school, fields),
+    };
+  }
+
+  return {
+    type: 'Feature',
+    id: `cell:${cell._id.x}:${cell._id.y}`,
+    geometry: { type: 'Point', coordinates: [cell.lng, cell.lat] },
+    properties: { point_count: cell.count },
+  };
+};
+
+module.exports = {
+  MIN_ZOOM,
+  MAX_ZOOM,
+  clusterCellSize,
+  toSchoolFeature,
+  buildClusterPipeline,
+  toClusterFeature,
+};
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const School = require('../models/School');
+const SchoolSnapshot = require('../models/SchoolSnapshot');
+const { processSchoolData, getMissingFields, toUpdatePaths } = require('./schoolRowMapper');
+const { recordSchoolChanges } = require('./audit');
+const { invalidate: invalidateCache } = require('./cache');
+const { updateSchoolSummaries } = require('./schoolSummaries');
+
+const BATCH_SIZE = 500;
+
+const supportedExtensions = ['.csv', '.xlsx'];
+
+// Parse an uploaded UDISE CSV or Excel file into raw rows.
+// Each row is { rowNumber, data } where rowNumber is the line in the file
+// (the header is line 1) and data maps header names to string values.
+const parseSchoolFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv') {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from([file.buffer])
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+        .on('data', (data) => rows.push({ rowNumber: rows.length + 2, data }))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+      headers[colNumber] = cell.text.trim();
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const data = {};
+      headers.forEach((header, colNumber) => {
+        if (header) data[header] = row.getCell(colNumber).text;
+      });
+      rows.push({ rowNumber, data });
+    });
+    return rows;
+  }
+
+  throw new Error(`Unsupported file type. Upload one of: ${supportedExtensions.join(', ')}`);
+};
+
+// Stream raw rows from a CSV or Excel file on disk without loading it into
+// memory. Yields the same { rowNumber, data } shape as parseSchoolFile.
+async function* readSchoolRows(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv') {
+    let rowNumber = 1;
+    const rows = fs.createReadStream(filePath).pipe(csv({ mapHeaders: ({ header }) => header.trim() }));
+    for await (const data of rows) {
+      rowNumber += 1;
+      yield { rowNumber, data };
+    }
+    return;
+  }
+
+  if (extension === '.xlsx') {
+    const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'ignore',
+      worksheets: 'emit',
+    });
+
+    // Only the first worksheet is imported
+    for await (const worksheetReader of workbookReader) {
+      let headers = null;
+      for await (const row of worksheetReader) {
+        if (!headers) {
+          headers = [];
+          row.eachCell((cell, colNumber) => {
+            headers[colNumber] = cell.text.trim();
+          });
+          continue;
+        }
+
+        const data = {};
+        headers.forEach((header, colNumber) => {
+          if (header) data[header] = row.getCell(colNumber).text;
+        });
+        yield { rowNumber: row.number, data };
+      }
+      return;
+    }
+    return;
+  }
+
+  throw new Error(`Unsupported file type. Use one of: ${supportedExtensions.join(', ')}`);
+}
+
+// Validate one raw row. Returns { school } or { school, reason }.
+// seenCodes maps udise_code to the row it was first accepted on.
+const prepareRow = ({ data }, user, seenCodes) => {
+  const school = processSchoolData(data);
+
+  const missing = getMissingFields(school);
+  if (missing.length > 0) {
+    return { school, reason: `Missing mandatory fields: ${missing.join(', ')}` };
+  }
+
+  if (seenCodes.has(school.udise_code)) {
+    return { school, reason: `Duplicate udise_code in file (first seen on row ${seenCodes.get(school.udise_code)})` };
+  }
+
+  const validationError = new School(school).validateSync();
+  if (validationError) {
+    return { school, reason: Object.values(validationError.errors).map((err) => err.message).join('; ') };
+  }
+
+  if (user && !user.isWithinJurisdiction(school)) {
+    return { school, reason: 'School location is outside your jurisdiction' };
+  }
+
+  return { school };
+};
+
+// Record the outcome of one row (status: inserted, updated or rejected)
+const addReportRow = (report, row, udise_code, status, reason) => {
+  report[status] += 1;
+  report.rows.push(reason ? { row, udise_code, status, reason } : { row, udise_code, status });
+};
+
+// Upsert one batch of prepared rows into the snapshots of an academic year.
+// Snapshots are a record of published data, so they are not audited.
+const importSnapshotBatch = async (batch, academicYear, user, report) => {
+  const existingSnapshots = await SchoolSnapshot.find({
+    academic_year: academicYear,
+    udise_code: { $in: batch.map(({ school }) => school.udise_code) },
+  });
+  const existingByCode = new Map(existingSnapshots.map((snapshot) => [snapshot.udise_code, snapshot]));
+
+  const writable = batch.filter((entry) => {
+    const existing = existingByCode.get(entry.school.udise_code);
+    if (existing && user && !user.isWithinJurisdiction(existing)) {
+      addReportRow(report, entry.rowNumber, entry.school.udise_code, 'rejected', 'Existing school is outside your jurisdiction');
+      return false;
+    }
+    return true;
+  });
+
+  if (writable.length === 0) return;
+
+  const operations = writable.map(({ school }) => ({
+    updateOne: {
+      filter: { academic_year: academicYear, udise_code: school.udise_code },
+      update: { $set: toUpdatePaths(school, { skipNull: true }) },
+      upsert: true,
+    },
+  }));
+
+  const failedIndexes = new Map();
+  try {
+    await SchoolSnapshot.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    error.writeErrors.forEach((writeError) => failedIndexes.set(writeError.index, writeError.errmsg));
+  } finally {
+    invalidateCache();
+  }
+
+  writable.forEach((entry, index) => {
+    const { udise_code } = entry.school;
+    if (failedIndexes.has(index)) {
+      addReportRow(report, entry.rowNumber, udise_code, 'rejected', failedIndexes.get(index));
+    } else {
+      addReportRow(report, entry.rowNumber, udise_code, existingByCode.has(udise_code) ? 'updated' : 'inserted');
+    }
+  });
+};
+
+// Upsert one batch of prepared rows by udise_code and append to the report.
+// Detail columns missing from the file leave the stored values untouched.
+// With an academicYear the rows go to that year's snapshots instead.
+const importBatch = async (batch, user, report, { academicYear } = {}) => {
+  if (academicYear) {
+    return importSnapshotBatch(batch, academicYear, user, report);
+  }
+
+  const existingSchools = await School.find({ udise_code: { $in: batch.map(({ school }) => school.udise_code) } });
+  const existingByCode = new Map(existingSchools.map((school) => [school.udise_code, school]));
+
+  const writable = [];
+  batch.forEach((entry) => {
+    const existing = existingByCode.get(entry.school.udise_code);
+    if (existing && user && !user.isWithinJurisdiction(existing)) {
+      addReportRow(report, entry.rowNumber, entry.school.udise_code, 'rejected', 'Existing school is outside your jurisdiction');
+      return;
+    }
+    writable.push({ ...entry, existing });
+  });
+
+  if (writable.length === 0) return;
+
+  const operations = writable.map(({ school }) => {
+    const $set = { ...toUpdatePaths(school, { skipNull: true }), updated_by: user && user._id };
+    // Rows carry both coordinates or neither, so the point is only ever replaced whole
+    const geoLocation = School.toGeoPoint(school.coordinates);
+    if (geoLocation) $set.geo_location = geoLocation;
+
+    return {
+      updateOne: {
+        filter: { udise_code: school.udise_code },
+        update: {
+          $set,
+          $setOnInsert: { created_by: user && user._id },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  let result;
+  const failedIndexes = new Map();
+  const auditEntries = [];
+  // Cached aggregates are dropped only once the summaries reflect the batch
+  try {
+    try {
+      result = await School.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      result = error.result;
+      error.writeErrors.forEach((writeError) => failedIndexes.set(writeError.index, writeError.errmsg));
+    }
+
+    const upsertedIds = (result && result.upsertedIds) || {};
+    const updatedIds = [];
+
+    writable.forEach((entry, index) => {
+      if (failedIndexes.has(index)) {
+        addReportRow(report, entry.rowNumber, entry.school.udise_code, 'rejected', failedIndexes.get(index));
+        return;
+      }
+
+      if (entry.existing) {
+        addReportRow(report, entry.rowNumber, entry.school.udise_code, 'updated');
+        updatedIds.push(entry.existing._id);
+        auditEntries.push({ action: 'update', school: entry.existing, before: entry.existing });
+      } else {
+        addReportRow(report, entry.rowNumber, entry.school.udise_code, 'inserted');
+        auditEntries.push({
+          action: 'create',
+          school: { _id: upsertedIds[index], udise_code: entry.school.udise_code },
+          after: entry.school,
+        });
+      }
+    });
+
+    // Diff updates against the stored result so the audit reflects what was written
+    if (updatedIds.length > 0) {
+      const updatedSchools = await School.find({ _id: { $in: updatedIds } });
+      const updatedById = new Map(updatedSchools.map((school) => [school._id.toString(), school]));
+      auditEntries.forEach((entry) => {
+        if (entry.action === 'update') entry.after = updatedById.get(entry.school._id.toString());
+      });
+    }
+
+    await updateSchoolSummaries(auditEntries);
+  } finally {
+    invalidateCache();
+  }
+
+  await recordSchoolChanges(auditEntries, user);
+};
+
+// Create an empty import report
+const createReport = () => ({
+  totalRows: 0,
+  inserted: 0,
+  updated: 0,
+  rejected: 0,
+  rows: [],
+});
+
+// Validate and upsert raw rows by udise_code on behalf of a user, into the
+// live schools or, given an academicYear, that year's snapshots.
+// Resolves to a per-row report of inserted, updated and rejected rows.
+const importSchoolRows = async (rows, { user, academicYear } = {}) => {
+  const report = createReport();
+  const seenCodes = new Map();
+  let batch = [];
+
+  report.totalRows = rows.length;
+
+  for (const row of rows) {
+    const { school, reason } = prepareRow(row, user, seenCodes);
+
+    if (reason) {
+      addReportRow(report, row.rowNumber, school.udise_code, 'rejected', reason);
+      continue;
+    }
+
+    seenCodes.set(school.udise_code, row.rowNumber);
+    batch.push({ rowNumber: row.rowNumber, school });
+    if (batch.length >= BATCH_SIZE) {
+      await importBatch(batch, user, report, { academicYear });
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    await importBatch(batch, user, report, { academicYear });
+  }
+
+  report.rows.sort((a, b) => a.row - b.row);
+  return report;
+};
+
+module.exports = {
+  parseSchoolFile,
+  readSchoolRows,
+  prepareRow,
+  importBatch,
+  createReport,
+  addReportRow,
+  importSchoolRows,
+  supportedExtensions,
+};
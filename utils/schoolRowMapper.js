@@ -0,0 +1,158 @@
+// Maps a raw UDISE CSV row onto the School schema. Shared by the CLI import
+// script and the upload/import-job routes so every import path agrees.
+
+const cleanPrefix = (val) => {
+  if (!val) return val;
+  return val.toString().replace(/^\d+\-\s*/, '').trim();
+};
+
+const processSchoolData = (data) => {
+  let management = cleanPrefix(data.state_mgmt || data.national_mgmt);
+  if (management === 'MPP_ZPP SCHOOLS' || management === 'Department of Education') {
+    management = 'Government';
+  } else if (management === 'Pvt.Unaided' || management === 'Private Unaided (Recognized)') {
+    management = 'Private Unaided';
+  } else if (management === 'Aided' || management === 'Private Aided (Recognized)') {
+    management = 'Aided';
+  } else {
+    management = 'Other';
+  }
+
+  let school_type = cleanPrefix(data.school_type);
+  if (school_type === 'Co-educational') {
+    school_type = 'Co-Ed';
+  } else if (!['Girls', 'Boys', 'Other'].includes(school_type)) {
+    school_type = 'Other';
+  }
+
+  let school_status = cleanPrefix(data.school_status);
+  if (school_status === 'Closed') {
+    school_status = 'Permanently Closed';
+  } else if (!['Operational', 'Permanently Closed', 'Other'].includes(school_status)) {
+    school_status = 'Other';
+  }
+
+  const block = data.block?.trim() && data.block !== 'null' ? data.block.trim() : 'Unknown';
+  const village = data.village?.trim() && data.village !== 'null' ? data.village.trim() : 'Unknown';
+
+  return {
+    udise_code: data.udise_code?.trim(),
+    school_name: data.school_name?.trim(),
+    state: data.state?.trim(),
+    district: data.district?.trim(),
+    block,
+    village,
+    cluster: data.cluster?.trim(),
+    management,
+    location: cleanPrefix(data.location) || 'Other',
+    school_category: cleanPrefix(data.school_category),
+    school_type,
+    school_status,
+    isActive: school_status === 'Operational',
+    ...processSchoolDetails(data),
+  };
+};
+
+// First non-empty value among column aliases. Dotted aliases match the
+// flattened columns written by utils/csvPreprocessor.js.
+const pick = (row, aliases) => {
+  for (const alias of aliases) {
+    const value = row[alias];
+    if (value !== undefined && value !== null && String(value).trim() !== '' && value !== 'null') {
+      return String(value).trim();
+    }
+  }
+  return null;
+};
+
+const parseWholeNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number < 0 ? null : number;
+};
+
+const parseNumberInRange = (value, min, max) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) || number < min || number > max ? null : number;
+};
+
+const matchOrNull = (value, pattern) => (value !== null && pattern.test(value) ? value : null);
+
+// UDISE flags come as 1/2 codes ("1-Yes", "2-No") or yes/no/true/false
+const parseFlag = (value) => {
+  if (value === null) return null;
+  const clean = cleanPrefix(value).toLowerCase();
+  if (['1', 'yes', 'y', 'true'].includes(clean)) return true;
+  if (['0', '2', 'no', 'n', 'false'].includes(clean)) return false;
+  return null;
+};
+
+// Maps the enrollment, staffing, infrastructure, performance, contact and
+// location columns of a raw row. Unknown values are null rather than 0, and
+// out-of-range values are dropped instead of failing the whole row.
+const processSchoolDetails = (row) => {
+  const year = parseWholeNumber(pick(row, ['establishment_year', 'estd_year', 'year']));
+  const coordinates = {
+    latitude: parseNumberInRange(pick(row, ['latitude', 'lat', 'coordinates.latitude']), -90, 90),
+    longitude: parseNumberInRange(pick(row, ['longitude', 'lng', 'lon', 'coordinates.longitude']), -180, 180),
+  };
+
+  return {
+    establishment_year: year && year >= 1800 && year <= new Date().getFullYear() ? year : null,
+    total_students: parseWholeNumber(pick(row, ['total_students', 'students', 'total_enrollment'])),
+    total_teachers: parseWholeNumber(pick(row, ['total_teachers', 'teachers', 'total_tch'])),
+    infrastructure: {
+      has_electricity: parseFlag(pick(row, ['electricity', 'elec', 'infrastructure.has_electricity'])),
+      has_drinking_water: parseFlag(pick(row, ['drinking_water', 'water', 'infrastructure.has_drinking_water'])),
+      has_toilets: parseFlag(pick(row, ['toilets', 'toilet', 'infrastructure.has_toilets'])),
+      has_library: parseFlag(pick(row, ['library', 'infrastructure.has_library'])),
+      has_computer_lab: parseFlag(pick(row, ['computer_lab', 'comp_lab', 'infrastructure.has_computer_lab'])),
+    },
+    academic_performance: {
+      pass_percentage: parseNumberInRange(pick(row, ['pass_percentage', 'pass_rate', 'academic_performance.pass_percentage']), 0, 100),
+      dropout_rate: parseNumberInRange(pick(row, ['dropout_rate', 'dropout', 'academic_performance.dropout_rate']), 0, 100),
+    },
+    contact_info: {
+      phone: matchOrNull(pick(row, ['phone', 'telephone', 'contact_info.phone']), /^[0-9+\-() ]{6,20}$/),
+      email: matchOrNull(pick(row, ['email', 'contact_info.email']), /^\S+@\S+\.\S+$/),
+      website: pick(row, ['website', 'web', 'contact_info.website']),
+    },
+    // Only keep a position when both halves are known
+    coordinates: coordinates.latitude !== null && coordinates.longitude !== null
+      ? coordinates
+      : { latitude: null, longitude: null },
+  };
+};
+
+// Nested detail groups, updated field by field so a partial update keeps
+// the sibling values already stored
+const detailGroups = ['infrastructure', 'academic_performance', 'contact_info', 'coordinates'];
+
+// Flatten detail groups into dotted paths for a $set. With skipNull, unknown
+// (null) values are left out so they never overwrite stored data.
+const toUpdatePaths = (school, { skipNull = false } = {}) => {
+  const paths = {};
+  Object.entries(school).forEach(([field, value]) => {
+    if (detailGroups.includes(field) && value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, nested]) => {
+        if (!(skipNull && nested === null)) paths[`${field}.${key}`] = nested;
+      });
+    } else if (!(skipNull && value === null)) {
+      paths[field] = value;
+    }
+  });
+  return paths;
+};
+
+// Mandatory fields a mapped row must carry to be imported
+const requiredFields = ['udise_code', 'school_name', 'state', 'district'];
+
+const getMissingFields = (school) => requiredFields.filter((field) => !school[field]);
+
+module.exports = {
+  cleanPrefix,
+  processSchoolData,
+  processSchoolDetails,
+  getMissingFields,
+  detailGroups,
+  toUpdatePaths,
+};
@@ -0,0 +1,111 @@
+const School = require('../models/School');
+const SchoolSummary = require('../models/SchoolSummary');
+
+const { SUMMARY_FIELDS } = SchoolSummary;
+
+// Summary key of a school. Missing values are null, and isActive is a plain
+// boolean, matching what the rebuild aggregation produces.
+const toSummaryKey = (school) => {
+  const key = {};
+  SUMMARY_FIELDS.forEach((field) => {
+    key[field] = field === 'isActive' ? school.isActive !== false : school[field] ?? null;
+  });
+  return key;
+};
+
+// Until the first rebuild the collection is empty, and incremental updates are
+// skipped so it never holds a partial picture. Once built it stays built, so
+// the collection is only checked while it is still empty.
+let built = false;
+
+const summariesBuilt = async () => {
+  if (!built) built = (await SchoolSummary.estimatedDocumentCount()) > 0;
+  return built;
+};
+
+// Reads use the summaries once built, unless SCHOOL_SUMMARIES=off. The flag
+// only affects reads: writes keep the summaries current either way, so they
+// are accurate when it is switched back on.
+const summariesReady = async () => process.env.SCHOOL_SUMMARIES !== 'off' && summariesBuilt();
+
+// True when a query only filters and groups by summarised fields
+const canUseSummaries = (filters, fields = []) => Object.keys(filters).every((field) => SUMMARY_FIELDS.includes(field))
+  && fields.every((field) => SUMMARY_FIELDS.includes(field));
+
+// Recompute every summary row from the schools and replace the collection
+// in one step. Resolves to the number of summary rows and schools counted.
+const rebuildSchoolSummaries = async () => {
+  const groupKey = {};
+  SUMMARY_FIELDS.forEach((field) => {
+    groupKey[field] = field === 'isActive' ? { $ne: ['$isActive', false] } : `$${field}`;
+  });
+
+  await School.aggregate([
+    { $group: { _id: groupKey, count: { $sum: 1 } } },
+    {
+      $project: {
+        _id: 0,
+        ...Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, { $ifNull: [`$_id.${field}`, null] }])),
+        count: 1,
+      },
+    },
+    { $out: SchoolSummary.collection.name },
+  ]).allowDiskUse(true);
+
+  // $out keeps the indexes of an existing collection; create them on the first build
+  await SchoolSummary.createIndexes();
+
+  const [totals] = await SchoolSummary.aggregate([
+    { $group: { _id: null, rows: { $sum: 1 }, schools: { $sum: '$count' } } },
+  ]);
+  built = !!totals;
+  return { rows: totals ? totals.rows : 0, schools: totals ? totals.schools : 0 };
+};
+
+// Apply school changes to the summaries. Each change is { before, after }
+// (either may be missing, for creates). Failures are logged rather than
+// thrown, since the school write itself has already succeeded; a rebuild
+// repairs any drift.
+const updateSchoolSummaries = async (changes) => {
+  try {
+    if (changes.length === 0 || !(await summariesBuilt())) return;
+
+    const deltas = new Map();
+    const addDelta = (school, delta) => {
+      const key = toSummaryKey(school);
+      const id = JSON.stringify(key);
+      const entry = deltas.get(id) || { key, delta: 0 };
+      entry.delta += delta;
+      deltas.set(id, entry);
+    };
+
+    changes.forEach(({ before, after }) => {
+      if (before) addDelta(before, -1);
+      if (after) addDelta(after, 1);
+    });
+
+    const operations = [...deltas.values()]
+      .filter(({ delta }) => delta !== 0)
+      .map(({ key, delta }) => ({
+        updateOne: {
+          filter: key,
+          update: { $inc: { count: delta } },
+          upsert: true,
+        },
+      }));
+    if (operations.length === 0) return;
+
+    await SchoolSummary.bulkWrite(operations, { ordered: false });
+    await SchoolSummary.deleteMany({ count: { $lte: 0 } });
+  } catch (error) {
+    console.error('School summary update error (run npm run summaries:rebuild to repair):', error);
+  }
+};
+
+module.exports = {
+  summariesBuilt,
+  summariesReady,
+  canUseSummaries,
+  rebuildSchoolSummaries,
+  updateSchoolSummaries,
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+// Env is read at call time so scripts can override it after loading this module
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT. `ver` ties the token to the user's tokenVersion so that
+// "log out all devices" invalidates every outstanding access token at once.
+const generateAccessToken = (user) => {
+    return jwt.sign(
+        { userId: user._id, ver: user.tokenVersion || 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: getAccessTokenTtl(), jwtid: crypto.randomUUID() }
+    );
+};
+
+// Opaque random refresh token; only its hash is persisted
+const generateRefreshToken = async (user, req) => {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+        createdByIp: req && req.ip,
+        userAgent: req && req.get('User-Agent')
+    });
+
+    return token;
+};
+
+// Issue a fresh access/refresh token pair for a user
+const issueTokens = async (user, req) => {
+    const token = generateAccessToken(user);
+    const refreshToken = await generateRefreshToken(user, req);
+
+    return {
+        token,
+        refreshToken,
+        expiresIn: getAccessTokenTtl()
+    };
+};
+
+// Exchange a refresh token for a new pair, revoking the old one.
+// Presenting an already-rotated token is treated as theft: every session of
+// that user is revoked. The old token is claimed atomically before anything
+// is issued, so of two concurrent refreshes only one succeeds and the other
+// is handled as reuse.
+const rotateRefreshToken = async (token, req) => {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now },
+        { new: true }
+    );
+
+    if (!claimed) {
+        const stored = await RefreshToken.findOne({ tokenHash });
+
+        if (!stored) {
+            return { error: 'Invalid refresh token.' };
+        }
+
+        if (stored.revokedAt) {
+            await revokeAllSessions(stored.user);
+            return { error: 'Refresh token has been revoked.' };
+        }
+
+        return { error: 'Refresh token expired.' };
+    }
+
+    const user = await User.findById(claimed.user);
+    if (!user || !user.isActive) {
+        return { error: 'User not found or inactive.' };
+    }
+
+    const tokens = await issueTokens(user, req);
+    await RefreshToken.updateOne(
+        { _id: claimed._id },
+        { replacedByHash: hashToken(tokens.refreshToken) }
+    );
+
+    return { user, tokens };
+};
+
+// Revoke a single refresh token belonging to a user
+const revokeRefreshToken = async (token, userId) => {
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(token), user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+// Put an access token on the revocation list until it expires
+const revokeAccessToken = async (decoded) => {
+    if (!decoded || !decoded.jti) return;
+
+    await RevokedToken.updateOne(
+        { jti: decoded.jti },
+        {
+            $setOnInsert: {
+                user: decoded.userId,
+                expiresAt: new Date(decoded.exp * 1000)
+            }
+        },
+        { upsert: true }
+    );
+};
+
+// Invalidate every access and refresh token of a user.
+// Resolves to the updated user so a fresh session can be issued afterwards.
+const revokeAllSessions = async (userId) => {
+    const [user] = await Promise.all([
+        User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }),
+        RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+    ]);
+    return user;
+};
+
+// Check a verified access token payload against the revocation state
+const isAccessTokenRevoked = async (decoded, user) => {
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) return true;
+    if (!decoded.jti) return false;
+    return !!(await RevokedToken.exists({ jti: decoded.jti }));
+};
+
+module.exports = {
+    hashToken,
+    generateAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    revokeAllSessions,
+    isAccessTokenRevoked
+};